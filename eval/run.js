@@ -0,0 +1,287 @@
+// eval/run.js — evaluación offline de versiones del prompt de análisis
+//
+// Pasa el dataset etiquetado (eval/golden.jsonl) por un proveedor IA con una o varias
+// versiones del prompt (lib/prompts.js) y saca el acierto por campo y la matriz de
+// confusión de la intención. Mismo flujo que en producción: PII sustituida por marcadores
+// (config/pii-redaction.json), llamada, validación de esquema, una reparación si hace
+// falta (AI_REPAIR_ENABLED) y corrección final.
+//
+// Uso:
+//   npm run eval -- --prompt v1,v2 --provider mock
+//   node eval/run.js --provider openai --dataset otro.jsonl --fallos --json
+//
+// Opciones:
+//   --prompt     versiones separadas por comas (por defecto PROMPT_VERSION o v1)
+//   --provider   gemini | openai | ollama | mock (por defecto AI_PROVIDER o gemini);
+//                cada proveedor lee sus variables de entorno (ver lib/ai-providers.js)
+//   --dataset    fichero JSONL: { id, text, origen, canal, esperado: { intencion, idioma, pais, urgencia } }
+//   --limit      evaluar solo los N primeros ejemplos
+//   --fallos     listar los ejemplos fallados
+//   --json       salida en JSON (para guardar o comparar en CI)
+
+const fs = require("fs");
+const path = require("path");
+const { createProvider } = require("../lib/ai-providers");
+const {
+  INTENCIONES,
+  validateAnalysis,
+  coerceAnalysis,
+  parseAIJson,
+} = require("../lib/ai-schema");
+const { getPrompt, buildUserPrompt, buildRepairPrompt } = require("../lib/prompts");
+const { createRedactor, redactionTypesFor } = require("../lib/pii");
+const { loadJsonConfig, resolveConfigPath } = require("../lib/config");
+
+const CAMPOS = ["intencion", "idioma", "pais", "urgencia"];
+const REPAIR_ENABLED = process.env.AI_REPAIR_ENABLED !== "false";
+const PII_REDACTION =
+  process.env.PII_REDACTION_ENABLED === "false"
+    ? null
+    : loadJsonConfig(resolveConfigPath(process.env.PII_REDACTION_FILE, "pii-redaction.json"));
+
+function parseArgs(argv) {
+  const args = { fallos: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--fallos" || arg === "--json") {
+      args[arg.slice(2)] = true;
+    } else if (arg.startsWith("--")) {
+      const [key, inline] = arg.slice(2).split("=");
+      args[key] = inline !== undefined ? inline : argv[++i];
+    } else {
+      throw new Error(`Argumento no reconocido: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function loadDataset(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line, i) => ({ line: line.trim(), n: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith("//"))
+    .map(({ line, n }) => {
+      let sample;
+      try {
+        sample = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${file}:${n}: JSON inválido (${err.message})`);
+      }
+      if (!sample.text || !sample.esperado) {
+        throw new Error(`${file}:${n}: faltan "text" o "esperado"`);
+      }
+      return { id: sample.id || `linea-${n}`, ...sample };
+    });
+}
+
+// Comparación sin tildes ni mayúsculas ("España" = "espana")
+function same(a, b) {
+  const norm = (v) =>
+    String(v || "")
+      .trim()
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "");
+  return norm(a) === norm(b);
+}
+
+// Una muestra por el flujo de producción → { prediccion, reparado, error, ms, usage }
+async function analyzeSample(provider, prompt, sample) {
+  const started = Date.now();
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  const generate = async (userPrompt) => {
+    const out = await provider.generate(prompt.system, userPrompt);
+    usage.prompt_tokens += (out.usage && out.usage.prompt_tokens) || 0;
+    usage.completion_tokens += (out.usage && out.usage.completion_tokens) || 0;
+    return out.text || "";
+  };
+
+  const redactor = createRedactor(redactionTypesFor(PII_REDACTION, sample.canal));
+  const nombre = redactor.redactValue("nombre", sample.nombre);
+  const text = redactor.redact(sample.text);
+  const userPrompt = buildUserPrompt(text, {
+    ...sample,
+    nombre,
+    marcadores: redactor.redactedTypes().length > 0,
+  });
+  try {
+    const rawText = await generate(userPrompt);
+    let parsed = parseAIJson(rawText);
+    let errors = parsed ? validateAnalysis(parsed) : ["la respuesta no es un JSON válido"];
+    let reparado = false;
+
+    if (errors.length && REPAIR_ENABLED) {
+      const previous = parsed ? JSON.stringify(parsed) : rawText;
+      const repaired = parseAIJson(await generate(buildRepairPrompt(userPrompt, previous, errors)));
+      const repairErrors = repaired ? validateAnalysis(repaired) : errors;
+      if (repaired && (!parsed || repairErrors.length <= errors.length)) {
+        parsed = repaired;
+        errors = repairErrors;
+        reparado = true;
+      }
+    }
+
+    if (!parsed) throw new Error("error_parseo_json");
+    const prediccion = redactor.restore(coerceAnalysis(parsed).value);
+    return { prediccion, reparado, ms: Date.now() - started, usage };
+  } catch (err) {
+    return { prediccion: null, error: err.message, ms: Date.now() - started, usage };
+  }
+}
+
+async function evaluatePrompt(provider, prompt, dataset) {
+  const aciertos = Object.fromEntries([...CAMPOS, "todos"].map((c) => [c, 0]));
+  const etiquetas = [...INTENCIONES];
+  const confusion = {};
+  const fallos = [];
+  let errores = 0;
+  let reparaciones = 0;
+  let ms = 0;
+  const tokens = { prompt_tokens: 0, completion_tokens: 0 };
+
+  for (const sample of dataset) {
+    const result = await analyzeSample(provider, prompt, sample);
+    const pred = result.prediccion || {};
+    ms += result.ms;
+    tokens.prompt_tokens += result.usage.prompt_tokens;
+    tokens.completion_tokens += result.usage.completion_tokens;
+    if (result.error) errores += 1;
+    if (result.reparado) reparaciones += 1;
+
+    const diferencias = [];
+    for (const campo of CAMPOS) {
+      if (same(pred[campo], sample.esperado[campo])) aciertos[campo] += 1;
+      else diferencias.push({ campo, esperado: sample.esperado[campo], obtenido: pred[campo] ?? null });
+    }
+    if (!diferencias.length) aciertos.todos += 1;
+    else fallos.push({ id: sample.id, error: result.error, diferencias });
+
+    const esperada = sample.esperado.intencion;
+    const obtenida = pred.intencion || "(error)";
+    for (const e of [esperada, obtenida]) if (!etiquetas.includes(e)) etiquetas.push(e);
+    confusion[esperada] = confusion[esperada] || {};
+    confusion[esperada][obtenida] = (confusion[esperada][obtenida] || 0) + 1;
+  }
+
+  const total = dataset.length;
+  return {
+    version: prompt.version,
+    hash: prompt.hash,
+    total,
+    acierto: Object.fromEntries(
+      Object.entries(aciertos).map(([c, n]) => [c, { aciertos: n, ratio: total ? n / total : 0 }])
+    ),
+    errores,
+    reparaciones,
+    latencia_media_ms: total ? Math.round(ms / total) : 0,
+    tokens,
+    confusion: { etiquetas, matriz: confusion },
+    fallos,
+  };
+}
+
+/* =====================================================================
+ *  INFORME EN TEXTO
+ * ===================================================================== */
+
+function pct(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => String(r[i]).length)));
+  return rows
+    .map((r) => r.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join("  "))
+    .join("\n");
+}
+
+function formatReport(report, { fallos }) {
+  const out = [
+    `Prompt ${report.version} (${report.hash})`,
+    table([
+      ["campo", "aciertos", "%"],
+      ...Object.entries(report.acierto).map(([campo, a]) => [campo, `${a.aciertos}/${report.total}`, pct(a.ratio)]),
+    ]),
+    `errores IA: ${report.errores} · reparaciones: ${report.reparaciones} · latencia media: ${report.latencia_media_ms} ms · tokens: ${report.tokens.prompt_tokens} entrada / ${report.tokens.completion_tokens} salida`,
+    "",
+    "Matriz de confusión de la intención (filas = esperada, columnas = obtenida)",
+  ];
+
+  // Solo las etiquetas que aparecen (esperadas u obtenidas)
+  const { etiquetas, matriz } = report.confusion;
+  const usadas = etiquetas.filter(
+    (e) => matriz[e] || Object.values(matriz).some((fila) => fila[e])
+  );
+  out.push(
+    table([
+      ["", ...usadas],
+      ...usadas
+        .filter((e) => matriz[e])
+        .map((e) => [e, ...usadas.map((o) => matriz[e][o] || ".")]),
+    ])
+  );
+
+  if (fallos && report.fallos.length) {
+    out.push("", "Fallos:");
+    for (const f of report.fallos) {
+      const detalle = f.error
+        ? `error: ${f.error}`
+        : f.diferencias.map((d) => `${d.campo} ${d.esperado} → ${d.obtenido}`).join(", ");
+      out.push(`- ${f.id}: ${detalle}`);
+    }
+  }
+  return out.join("\n");
+}
+
+function formatComparison(reports) {
+  return [
+    "Comparativa",
+    table([
+      ["campo", ...reports.map((r) => r.version)],
+      ...[...CAMPOS, "todos"].map((c) => [c, ...reports.map((r) => pct(r.acierto[c].ratio))]),
+      ["errores IA", ...reports.map((r) => r.errores)],
+    ]),
+  ].join("\n");
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const datasetFile = path.resolve(args.dataset || path.join(__dirname, "golden.jsonl"));
+  let dataset = loadDataset(datasetFile);
+  if (args.limit) dataset = dataset.slice(0, Number(args.limit));
+
+  const versions = String(args.prompt || process.env.PROMPT_VERSION || "v1")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+  const prompts = versions.map(getPrompt);
+  const provider = createProvider(args.provider || process.env.AI_PROVIDER || "gemini");
+
+  const reports = [];
+  for (const prompt of prompts) {
+    reports.push(await evaluatePrompt(provider, prompt, dataset));
+  }
+
+  if (args.json) {
+    const summary = {
+      dataset: datasetFile,
+      ejemplos: dataset.length,
+      provider: provider.name,
+      model: provider.model,
+      reports,
+    };
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+    return;
+  }
+
+  const header = `Dataset: ${path.relative(process.cwd(), datasetFile)} (${dataset.length} ejemplos) · proveedor: ${provider.name} (${provider.model})`;
+  const blocks = [header, ...reports.map((r) => formatReport(r, args))];
+  if (reports.length > 1) blocks.push(formatComparison(reports));
+  process.stdout.write(`${blocks.join("\n\n")}\n`);
+}
+
+main().catch((err) => {
+  process.stderr.write(`${err.message}\n`);
+  process.exit(1);
+});
@@ -1,10 +1,86 @@
-// index.js — odoo-ai-connector + Gemini + Odoo + Zadarma (webhook llamadas)
+// index.js — odoo-ai-connector + IA (Gemini / OpenAI / Ollama) + Odoo + Zadarma (webhook llamadas)
 // Node 18+ (Render) — usa fetch nativo
 
+const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
+const { loadJsonConfig, resolveConfigPath } = require("./lib/config");
+const aiProviders = require("./lib/ai-providers");
+const {
+  INTENCIONES,
+  validateAnalysis,
+  coerceAnalysis,
+  parseAIJson,
+} = require("./lib/ai-schema");
+const {
+  getPrompt,
+  listPrompts,
+  buildUserPrompt,
+  buildRepairPrompt,
+} = require("./lib/prompts");
+const { createOutbox } = require("./lib/outbox");
+const { parseInboundEmail } = require("./lib/email");
+const metaLeads = require("./lib/meta-leads");
+const { validateTemplates, renderReply } = require("./lib/reply-templates");
+const {
+  buildDraftSystemPrompt,
+  buildDraftUserPrompt,
+  validateDraft,
+} = require("./lib/reply-draft");
+const { readMultipart } = require("./lib/multipart");
+const { decodeCsvBuffer, parseCsv, toCsv } = require("./lib/csv");
+const { createBatchRunner } = require("./lib/batch");
+const { createOdooClient } = require("./lib/odoo");
+const logger = require("./lib/logger");
+const { createMetrics } = require("./lib/metrics");
+const { scoreLead, validateScoringConfig } = require("./lib/lead-scoring");
+const { createLeadRouter } = require("./lib/lead-routing");
+const {
+  normalizeEmail,
+  normalizePhone,
+  createLeadFinder,
+  mergeSummaries,
+} = require("./lib/lead-dedup");
+const { planFollowUp, validateFollowUpConfig } = require("./lib/follow-up");
+const { createConversationStore } = require("./lib/conversations");
+const { createAuditLog } = require("./lib/audit");
+const {
+  createRedactor,
+  redactionTypesFor,
+  validateRedactionConfig,
+} = require("./lib/pii");
+const {
+  parseLeadDescription,
+  ruleTagNames,
+  diffTags,
+  diffFields,
+} = require("./lib/lead-reprocess");
+const {
+  parseTranscript,
+  formatTurns,
+  summarizeTranscript,
+  formatKeyMoments,
+} = require("./lib/transcript");
+const zadarma = require("./lib/zadarma");
+const { createSttProvider } = require("./lib/stt");
+const {
+  createApiKeyStore,
+  verifyZadarmaSignature,
+  verifyMetaSignature,
+  safeEqual,
+} = require("./lib/auth");
+const {
+  createRateLimiter,
+  createUsageStore,
+  secondsUntilNextDay,
+} = require("./lib/rate-limit");
 
 const app = express();
 
+// Render (y cualquier proxy delante) → IP real del cliente en req.ip
+const TRUST_PROXY = process.env.TRUST_PROXY || "1";
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 const SERVICE_NAME = "odoo-ai-connector";
 const VERSION = "v1.6.1";
 
@@ -15,28 +91,357 @@ const ODOO_USER_EMAIL = process.env.ODOO_USER_EMAIL;
 const ODOO_API_KEY = process.env.ODOO_API_KEY;
 const ODOO_APPOINTMENT_URL = process.env.ODOO_APPOINTMENT_URL || "";
 
-// ========= CONFIG GEMINI =========
-// Usa la API de Google AI Studio (Generative Language).
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-// Modelo por defecto. Puedes sobreescribirlo con GEMINI_MODEL en Render si quieres.
-const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+// ========= CONFIG IA =========
+// Proveedor por AI_PROVIDER (gemini por defecto) y AI_FALLBACK_PROVIDER opcional.
+// Ver lib/ai-providers.js para las variables de cada proveedor.
+// Si el JSON no cumple el esquema, se pide UNA reparación al modelo (desactivable).
+const AI_REPAIR_ENABLED = process.env.AI_REPAIR_ENABLED !== "false";
+// Versión del prompt de análisis por defecto (lib/prompts.js); se puede pedir otra por
+// petición con prompt_version. Comparar versiones antes de cambiarla: npm run eval
+const PROMPT_VERSION = getPrompt(process.env.PROMPT_VERSION || "v1").version;
+// Datos personales (nombre, emails, teléfonos, IBAN, DNI/NIE/NIF, direcciones) sustituidos por
+// marcadores antes de llamar a la IA; tipos por canal en config/pii-redaction.json.
+// PII_REDACTION_ENABLED=false lo desactiva del todo.
+const PII_REDACTION = validateRedactionConfig(
+  loadJsonConfig(resolveConfigPath(process.env.PII_REDACTION_FILE, "pii-redaction.json"))
+);
+const PII_REDACTION_ENABLED = process.env.PII_REDACTION_ENABLED !== "false";
+
+// ========= CONFIG TAGS CRM =========
+// Mapeo intención/urgencia/origen/canal → crm.tag. Por defecto config/tag-rules.json.
+const TAG_RULES = loadJsonConfig(
+  resolveConfigPath(process.env.TAG_RULES_FILE, "tag-rules.json")
+);
+// Crear en Odoo las tags que falten (env TAG_AUTO_CREATE o "auto_create" en el fichero)
+const TAG_AUTO_CREATE = process.env.TAG_AUTO_CREATE
+  ? process.env.TAG_AUTO_CREATE === "true"
+  : TAG_RULES.auto_create === true;
+
+// ========= CONFIG RESPUESTAS =========
+// Plantillas de respuesta sugerida por idioma/intención. Por defecto config/reply-templates.json.
+const REPLY_TEMPLATES_FILE = resolveConfigPath(
+  process.env.REPLY_TEMPLATES_FILE,
+  "reply-templates.json"
+);
+const REPLY_TEMPLATES = validateTemplates(loadJsonConfig(REPLY_TEMPLATES_FILE));
+// AI_REPLY_MODE=ia: la IA redacta el borrador a partir de la FAQ (config/faq.json);
+// si el borrador no pasa las comprobaciones se usa la plantilla. Por defecto "plantilla".
+const AI_REPLY_MODE = (process.env.AI_REPLY_MODE || "plantilla").toLowerCase();
+const FAQ = loadJsonConfig(resolveConfigPath(process.env.FAQ_FILE, "faq.json"));
+
+// ========= CONFIG PERSISTENCIA / ADMIN =========
+// Carpeta de datos locales (outbox…). En Render, montar un disco persistente aquí.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+// Token para los endpoints /admin/* (cabecera x-admin-token o Authorization: Bearer)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+// ========= CONFIG AUTENTICACIÓN =========
+// API keys por cliente para /lead/* (ver lib/auth.js). API_AUTH_ENABLED=false solo en desarrollo.
+const API_AUTH_ENABLED = process.env.API_AUTH_ENABLED !== "false";
+const apiKeys = createApiKeyStore({
+  file: process.env.API_KEYS_FILE || path.join(DATA_DIR, "api-keys.json"),
+});
+// Secreto de la API de Zadarma para verificar la cabecera Signature de sus webhooks
+const ZADARMA_API_SECRET = process.env.ZADARMA_API_SECRET || "";
+const ZADARMA_VERIFY_SIGNATURE =
+  process.env.ZADARMA_VERIFY_SIGNATURE !== "false";
+// WhatsApp Cloud API: token del challenge GET y App Secret para X-Hub-Signature-256
+const WHATSAPP_VERIFY_TOKEN = process.env.WHATSAPP_VERIFY_TOKEN || "";
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET || "";
+const WHATSAPP_VERIFY_SIGNATURE =
+  process.env.WHATSAPP_VERIFY_SIGNATURE !== "false";
+// Meta Lead Ads (Facebook/Instagram): challenge, App Secret y token de página para la Graph API
+const META_LEADS_VERIFY_TOKEN = process.env.META_LEADS_VERIFY_TOKEN || "";
+const META_APP_SECRET = process.env.META_APP_SECRET || WHATSAPP_APP_SECRET;
+const META_VERIFY_SIGNATURE = process.env.META_VERIFY_SIGNATURE !== "false";
+const META_PAGE_ACCESS_TOKEN = process.env.META_PAGE_ACCESS_TOKEN || "";
+const META_GRAPH_VERSION = process.env.META_GRAPH_VERSION || "v21.0";
+// Correo entrante: token compartido con el servicio de inbound (?token= o x-webhook-token)
+const EMAIL_WEBHOOK_TOKEN = process.env.EMAIL_WEBHOOK_TOKEN || "";
+const EMAIL_MAX_BYTES = Number(process.env.EMAIL_MAX_BYTES) || 10 * 1024 * 1024;
+
+// ========= CONFIG LÍMITES / CUOTAS =========
+// Peticiones por ventana (por IP y por API key; la key puede tener su propio
+// rate_limit_max) y cuota diaria de llamadas IA por cliente (0 = sin límite;
+// la key puede tener su propio daily_ai_quota).
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60000;
+const RATE_LIMIT_IP_MAX = Number(process.env.RATE_LIMIT_IP_MAX) || 60;
+const RATE_LIMIT_KEY_MAX = Number(process.env.RATE_LIMIT_KEY_MAX) || 120;
+// Webhooks (por IP del proveedor; 0 = sin límite): solo frena abusos, cada proveedor
+// ya autentica con su firma o token
+const RATE_LIMIT_WEBHOOK_MAX =
+  process.env.RATE_LIMIT_WEBHOOK_MAX !== undefined
+    ? Number(process.env.RATE_LIMIT_WEBHOOK_MAX) || 0
+    : 1200;
+const AI_DAILY_QUOTA = Number(process.env.AI_DAILY_QUOTA) || 0;
+
+const ipLimiter = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: RATE_LIMIT_IP_MAX,
+});
+const keyLimiter = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: RATE_LIMIT_KEY_MAX,
+});
+const webhookLimiter = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: RATE_LIMIT_WEBHOOK_MAX,
+});
+const aiUsage = createUsageStore({ file: path.join(DATA_DIR, "ai-usage.json") });
+
+// ========= CONFIG PUNTUACIÓN / REPARTO =========
+// Puntuación 0-100 e ingreso esperado (config/lead-scoring.json). El ingreso esperado
+// (expected_revenue) sale de ingreso_esperado.por_unidad: precio por intención de venta,
+// obligatorio al arrancar salvo "activo": false.
+// Campos personalizados de crm.lead que usa el conector (hay que crearlos en Odoo):
+//   x_resumen_ia      texto, resúmenes del análisis IA
+//   x_respuesta_ia    texto, respuesta sugerida
+//   x_puntuacion_ia   entero, puntuación 0-100 (otro nombre con LEAD_SCORE_FIELD; vacío =
+//                     no se guarda). Se comprueba en Odoo antes de usarlo: si no existe
+//                     se registra el error y el lead se guarda sin puntuación.
+const LEAD_SCORING = validateScoringConfig(
+  loadJsonConfig(resolveConfigPath(process.env.LEAD_SCORING_FILE, "lead-scoring.json"))
+);
+const LEAD_SCORE_FIELD =
+  process.env.LEAD_SCORE_FIELD !== undefined
+    ? process.env.LEAD_SCORE_FIELD.trim()
+    : "x_puntuacion_ia";
+// Reparto a equipo/comercial por país, intención e idioma (config/lead-routing.json)
+const LEAD_ROUTING_ENABLED = process.env.LEAD_ROUTING_ENABLED !== "false";
+const leadRouter = createLeadRouter({
+  rules: loadJsonConfig(
+    resolveConfigPath(process.env.LEAD_ROUTING_FILE, "lead-routing.json")
+  ),
+  stateFile: path.join(DATA_DIR, "routing-state.json"),
+});
+
+// ========= CONFIG SEGUIMIENTO =========
+// Actividad (llamada / email / reunión) en cada lead nuevo, para el comercial asignado,
+// con fecha según urgencia e intención en días laborables (config/follow-up.json)
+const FOLLOW_UP = validateFollowUpConfig(
+  loadJsonConfig(resolveConfigPath(process.env.FOLLOW_UP_FILE, "follow-up.json"))
+);
+const FOLLOW_UP_ENABLED = process.env.FOLLOW_UP_ENABLED !== "false";
+
+// ========= CONFIG CONVERSACIONES =========
+// Historial por contacto (email / teléfono) en todos los canales: los mensajes anteriores
+// y su análisis entran en el prompt, y el lead abierto se re-evalúa con la conversación.
+// Se guardan en DATA_DIR/conversations.json: como mucho CONVERSATION_MAX_MESSAGES por
+// contacto y, sin mensajes nuevos, CONVERSATION_TTL_DAYS días (por defecto 180). Emails,
+// teléfonos, IBAN y DNI del texto y del análisis se enmascaran salvo CONVERSATION_REDACT_PII=false.
+const CONVERSATIONS_ENABLED = process.env.CONVERSATIONS_ENABLED !== "false";
+const conversations = createConversationStore({
+  file: path.join(DATA_DIR, "conversations.json"),
+  maxMessages: Number(process.env.CONVERSATION_MAX_MESSAGES) || 10,
+  ttlDays: Number(process.env.CONVERSATION_TTL_DAYS) || 180,
+  redactPII: process.env.CONVERSATION_REDACT_PII !== "false",
+});
+// Tags que cambian al re-evaluar la conversación (los de origen y canal se acumulan)
+const CONVERSATION_TAGS = ruleTagNames({
+  intencion: TAG_RULES.intencion,
+  urgencia: TAG_RULES.urgencia,
+  lead_valido: TAG_RULES.lead_valido,
+  revisar_manualmente: TAG_RULES.revisar_manualmente,
+});
 
-// cache simple de uid Odoo
-let cachedOdooUid = null;
+// ========= CONFIG LOTES =========
+// /lead/analyze-batch: concurrencia de llamadas IA, máximo de filas y de tamaño
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+const BATCH_MAX_ROWS = Number(process.env.BATCH_MAX_ROWS) || 5000;
+const BATCH_MAX_BYTES = Number(process.env.BATCH_MAX_BYTES) || 20 * 1024 * 1024;
 
-// ⚙️ Config básica Express
-app.use(
-  express.json({
-    limit: "1mb",
-  })
+const batches = createBatchRunner({
+  dir: path.join(DATA_DIR, "batches"),
+  concurrency: BATCH_CONCURRENCY,
+});
+// /admin/leads/reprocess: máximo de leads de Odoo por ejecución
+const REPROCESS_MAX_LEADS = Number(process.env.REPROCESS_MAX_LEADS) || 500;
+const reprocessJobs = createBatchRunner({
+  dir: path.join(DATA_DIR, "reprocess"),
+  concurrency: BATCH_CONCURRENCY,
+});
+
+// ========= CONFIG LLAMADAS =========
+// Transcripciones de Zadarma: tamaño máximo del cuerpo y, por encima de
+// TRANSCRIPT_CHUNK_CHARS caracteres, resumen por fragmentos antes de clasificar
+const ZADARMA_MAX_BYTES = Number(process.env.ZADARMA_MAX_BYTES) || 10 * 1024 * 1024;
+const TRANSCRIPT_CHUNK_CHARS = Number(process.env.TRANSCRIPT_CHUNK_CHARS) || 8000;
+// Eventos nativos de la centralita (NOTIFY_START / END / RECORD): las grabaciones se
+// piden a la API de Zadarma y se transcriben con STT_PROVIDER (lib/stt.js; vacío = no)
+const ZADARMA_API_KEY = process.env.ZADARMA_API_KEY || "";
+const ZADARMA_API_URL = process.env.ZADARMA_API_URL || "https://api.zadarma.com";
+const ZADARMA_RECORDING_MAX_BYTES =
+  Number(process.env.ZADARMA_RECORDING_MAX_BYTES) || 100 * 1024 * 1024;
+const stt = process.env.STT_PROVIDER ? createSttProvider(process.env.STT_PROVIDER) : null;
+// Llamadas entrantes perdidas: lead "devolver llamada" (o actividad en su lead abierto)
+const ZADARMA_MISSED_CALLS = process.env.ZADARMA_MISSED_CALLS !== "false";
+const zadarmaCalls = zadarma.createCallLog({ file: path.join(DATA_DIR, "zadarma-calls.json") });
+
+// ========= CONFIG AUDITORÍA =========
+// Traza de cada análisis en DATA_DIR/audit (un JSONL por día): entrada, versión del prompt,
+// texto crudo de la IA, resultado, tags, vals enviados a Odoo y lead_id. Emails, teléfonos,
+// IBAN y DNI se enmascaran al guardar salvo AUDIT_REDACT_PII=false.
+const AUDIT_ENABLED = process.env.AUDIT_ENABLED !== "false";
+const audit = createAuditLog({
+  dir: path.join(DATA_DIR, "audit"),
+  retentionDays: Number(process.env.AUDIT_RETENTION_DAYS) || 90,
+  redactPII: process.env.AUDIT_REDACT_PII !== "false",
+});
+
+const outbox = createOutbox({
+  file: path.join(DATA_DIR, "outbox.json"),
+  maxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8,
+  backoffMs: Number(process.env.OUTBOX_BACKOFF_MS) || 30000,
+  maxBackoffMs: Number(process.env.OUTBOX_MAX_BACKOFF_MS) || 60 * 60 * 1000,
+  pollMs: Number(process.env.OUTBOX_POLL_MS) || 15000,
+});
+
+// ========= MÉTRICAS =========
+// GET /metrics en formato Prometheus. Con METRICS_TOKEN, exige Authorization: Bearer <token>.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const metrics = createMetrics();
+const httpRequests = metrics.counter(
+  "http_requests_total",
+  "Peticiones HTTP por método, ruta y código de estado",
+  ["method", "route", "status"]
+);
+const httpDuration = metrics.histogram(
+  "http_request_duration_seconds",
+  "Duración de las peticiones HTTP",
+  ["route"]
 );
+const aiRequests = metrics.counter(
+  "ai_requests_total",
+  "Llamadas a la IA por proveedor, uso (analisis, reparacion, borrador) y resultado (ok, error, error_parseo)",
+  ["provider", "purpose", "result"]
+);
+const aiDuration = metrics.histogram(
+  "ai_request_duration_seconds",
+  "Latencia de las llamadas a la IA",
+  ["provider", "purpose"]
+);
+const odooRequests = metrics.counter(
+  "odoo_requests_total",
+  "Llamadas JSON-RPC a Odoo por modelo, método y resultado",
+  ["model", "method", "result"]
+);
+const odooErrors = metrics.counter(
+  "odoo_errors_total",
+  "Errores de Odoo por modelo, método y tipo (validation, access_denied, timeout…)",
+  ["model", "method", "kind"]
+);
+const odooDuration = metrics.histogram(
+  "odoo_request_duration_seconds",
+  "Latencia de las llamadas a Odoo",
+  ["method"]
+);
+const leadsTotal = metrics.counter(
+  "leads_total",
+  "Leads creados o actualizados en Odoo por intención y canal",
+  ["intencion", "canal", "action"]
+);
+metrics.gauge("outbox_items", "Items en el outbox por estado", () =>
+  Object.entries(outbox.stats()).map(([status, value]) => ({ labels: { status }, value }))
+);
+
+// Cliente Odoo (uid en caché, re-autenticación, timeouts y reintentos: lib/odoo.js)
+const odoo = createOdooClient({
+  baseUrl: ODOO_BASE_URL,
+  db: ODOO_DB,
+  login: ODOO_USER_EMAIL,
+  apiKey: ODOO_API_KEY,
+  timeoutMs: Number(process.env.ODOO_TIMEOUT_MS) || 15000,
+  retries: process.env.ODOO_RETRIES !== undefined ? Number(process.env.ODOO_RETRIES) : 2,
+  onCall({ model, method, seconds, error }) {
+    odooRequests.inc({ model, method, result: error ? "error" : "ok" });
+    odooDuration.observe({ method }, seconds);
+    if (error) odooErrors.inc({ model, method, kind: error.kind || "desconocido" });
+    logger.debug("Odoo: llamada", {
+      model,
+      method,
+      duration_ms: Math.round(seconds * 1000),
+      error_kind: error ? error.kind : undefined,
+    });
+  },
+});
+
+// Guardamos el cuerpo crudo para verificar firmas (HMAC, webhooks)
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Request ID: el de la cabecera X-Request-Id (si lo trae un proxy) o uno nuevo.
+// Se devuelve en la respuesta y acompaña a todos los logs de la petición.
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.header("X-Request-Id", req.id);
+
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // Ruta declarada (/admin/outbox/:id), no la URL, para no disparar etiquetas
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "sin_ruta";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ route }, seconds);
+    const quiet = route === "/health" || route === "/metrics";
+    logger[quiet ? "debug" : "info"]("Petición HTTP", {
+      request_id: req.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+      client: req.clientId,
+    });
+  });
+
+  logger.withContext({ request_id: req.id }, next);
+});
+
+// Los parsers de cuerpo llaman a next() desde eventos del stream, fuera del contexto
+// de logs de la petición; así lo recuperan.
+function keepLogContext(middleware) {
+  return (req, res, next) => {
+    const ctx = logger.context();
+    middleware(req, res, (err) => logger.withContext(ctx, () => next(err)));
+  };
+}
+
+// ⚙️ Config básica Express
+// JSON y formularios hasta 1mb, salvo las rutas que aceptan cuerpos grandes
+// (lotes, transcripciones de llamadas y correos con adjuntos en base64)
+const LARGE_BODY_ROUTES = new Map([
+  ["/lead/analyze-batch", BATCH_MAX_BYTES],
+  ["/webhooks/zadarma/call", ZADARMA_MAX_BYTES],
+  ["/webhooks/email", EMAIL_MAX_BYTES],
+]);
+const bodyParsers = new Map();
+function bodyParsersFor(reqPath) {
+  const limit = LARGE_BODY_ROUTES.get(reqPath) || "1mb";
+  if (!bodyParsers.has(limit)) {
+    bodyParsers.set(limit, {
+      json: express.json({ limit, verify: keepRawBody }),
+      // Zadarma envía sus notificaciones como formulario
+      form: express.urlencoded({ extended: false, limit, verify: keepRawBody }),
+    });
+  }
+  return bodyParsers.get(limit);
+}
+app.use(keepLogContext((req, res, next) => bodyParsersFor(req.path).json(req, res, next)));
+app.use(keepLogContext((req, res, next) => bodyParsersFor(req.path).form(req, res, next)));
 
-// CORS básico
+// CORS: con autenticación activa, solo orígenes permitidos por alguna API key
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
+  const origin = req.get("origin");
+  if (!API_AUTH_ENABLED) {
+    res.header("Access-Control-Allow-Origin", "*");
+  } else if (origin && apiKeys.isOriginAllowed(origin)) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Vary", "Origin");
+  }
   res.header(
     "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept"
+    "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Key-Id, X-Timestamp, X-Signature"
   );
   res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
   if (req.method === "OPTIONS") {
@@ -45,188 +450,361 @@ app.use((req, res, next) => {
   next();
 });
 
+// Límite por IP en las rutas que disparan IA / Odoo. Los webhooks de proveedores
+// (Zadarma, Meta…) llegan desde pocas IPs compartidas: tienen su propio cupo, más alto.
+function limitByIpWith(limiter, bucket) {
+  return (req, res, next) => {
+    const result = limiter.hit(`${bucket}:${req.ip}`);
+    res.header("X-RateLimit-Limit", String(result.limit));
+    res.header("X-RateLimit-Remaining", String(result.remaining));
+    if (!result.allowed) {
+      return rejectTooManyRequests(req, res, result.retryAfterSec, `rate_limit_${bucket}`);
+    }
+    next();
+  };
+}
+const limitByIp = limitByIpWith(ipLimiter, "ip");
+
+app.use("/lead", limitByIp);
+app.use("/webhooks", limitByIpWith(webhookLimiter, "webhook"));
+
 // 🟢 Healthcheck simple
 app.get("/health", (req, res) => {
   return res.json({
     ok: true,
     service: SERVICE_NAME,
     version: VERSION,
+    ai: aiProviders.describeProviders(),
+    stt: stt ? stt.name : null,
+    prompt: { version: PROMPT_VERSION, disponibles: listPrompts() },
+    outbox: outbox.stats(),
+    odoo: { configured: odoo.isConfigured() },
     message: "Usa GET /health o POST /lead/analyze",
   });
 });
 
 /* =====================================================================
- *  PROMPTS IA
+ *  AUTENTICACIÓN (API keys, firmas de webhooks)
  * ===================================================================== */
 
-function buildSystemPrompt() {
-  return `
-Eres un analizador automático de leads para la empresa Piznalia / La Pizzerina / SmartChef24h.
-Tu tarea es analizar mensajes de clientes y devolver SIEMPRE un JSON válido (json) con este formato:
-
-EJEMPLO DE JSON DESEADO:
-{
-  "intencion": "maquina",
-  "idioma": "es",
-  "pais": "España",
-  "urgencia": "alta",
-  "resumen": "Quiere información para comprar una máquina SmartChef24h para su bar en Sevilla",
-  "pregunta": "¿Qué precio tiene la máquina y cuáles son las condiciones?",
-  "datos_detectados": {
-    "cantidad": "1 máquina",
-    "ubicacion": "Sevilla",
-    "plazo": "próximos meses"
-  }
-}
-
-Las intenciones posibles son SOLO estas:
-- "maquina" (interesado en máquina SmartChef24h u otras máquinas)
-- "pizzas" (solo producto pizzas / alimentación)
-- "ambos"
-- "operador" (quiere operar o gestionar máquinas)
-- "soporte" (duda técnica / incidencia)
-- "info" (pregunta general)
-- "otros"
-
-Reglas:
-- Devuelve SIEMPRE un único objeto JSON, sin texto antes ni después.
-- Campos obligatorios:
-  - "intencion": una de las opciones indicadas.
-  - "idioma": "es", "ca", "en", "fr", "pt".
-  - "pais": nombre normalizado; si no se sabe, "Desconocido".
-  - "urgencia": "alta", "media" o "baja".
-  - "resumen": frase breve con lo que quiere el cliente.
-  - "pregunta": resumen de la duda o petición principal.
-  - "datos_detectados": objeto con:
-      "cantidad": texto breve (ej. "1 máquina", "varias máquinas", "no especifica");
-      "ubicacion": ciudad / zona si se menciona (o "no especifica");
-      "plazo": plazo aproximado si se menciona (o "no especifica").
-- No inventes datos. Si no sabes algo, pon "no especifica" o "Desconocido".
-- RESPONDE SIEMPRE SOLO CON JSON VÁLIDO.
-`;
-}
-
-function buildUserPrompt(text, meta) {
-  const origen = meta?.origen || meta?.source || "";
-  const canal = meta?.canal || meta?.channel || "";
-  const nombre = meta?.nombre || meta?.name || "";
-  const email = meta?.email || "";
-
-  let contexto = "Mensaje de un cliente.\n\n";
-  if (origen) contexto += `Origen: ${origen}\n`;
-  if (canal) contexto += `Canal: ${canal}\n`;
-  if (nombre) contexto += `Nombre: ${nombre}\n`;
-  if (email) contexto += `Email: ${email}\n`;
-
-  contexto += `\nTEXTO DEL CLIENTE:\n${text}\n\n`;
-  contexto +=
-    "Devuelve SOLO el JSON siguiendo exactamente el formato indicado en el prompt del sistema.";
-
-  return contexto;
+function logRejected(req, reason, keyId) {
+  logger.warn("Petición rechazada", {
+    component: "auth",
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    ip: req.ip,
+    origin: req.get("origin") || undefined,
+    key: keyId || undefined,
+    reason,
+  });
+}
+
+// Middleware: exige una API key activa con el scope indicado
+function requireApiKey(scope) {
+  return (req, res, next) => {
+    if (!API_AUTH_ENABLED) return next();
+
+    const auth = apiKeys.authenticate(req, scope);
+    if (!auth.ok) {
+      logRejected(req, auth.reason, auth.keyId);
+      return res.status(auth.status).json({
+        ok: false,
+        service: SERVICE_NAME,
+        error: auth.status === 403 ? "forbidden" : "unauthorized",
+        message: `Acceso denegado (${auth.reason}).`,
+      });
+    }
+
+    req.apiKey = auth.key;
+    next();
+  };
+}
+
+// Middleware: firma Zadarma (cabecera Signature) con ZADARMA_API_SECRET
+function requireZadarmaSignature(req, res, next) {
+  if (!ZADARMA_VERIFY_SIGNATURE) return next();
+
+  const valid = verifyZadarmaSignature(
+    req.body,
+    req.rawBody,
+    req.get("signature"),
+    ZADARMA_API_SECRET
+  );
+
+  if (!valid) {
+    logRejected(
+      req,
+      ZADARMA_API_SECRET ? "firma_zadarma_invalida" : "falta_ZADARMA_API_SECRET"
+    );
+    return res.status(401).json({
+      ok: false,
+      service: SERVICE_NAME,
+      source: "zadarma",
+      error: "invalid_signature",
+      message: "Firma de Zadarma inválida o ausente.",
+    });
+  }
+  next();
 }
 
 /* =====================================================================
- *  LLAMADA A GEMINI (v1beta) CON PARSEO ROBUSTO DE JSON
+ *  LÍMITES POR CLIENTE Y CUOTA IA
  * ===================================================================== */
 
-async function callGeminiJSON(systemPrompt, userPrompt) {
-  if (!GEMINI_API_KEY) {
-    throw new Error("Falta la variable de entorno GEMINI_API_KEY");
+// Cliente al que se imputan las llamadas IA (API key o, sin auth, la IP)
+function clientIdFor(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+function rejectTooManyRequests(req, res, retryAfterSec, reason) {
+  logger.warn("Límite superado", {
+    component: "rate-limit",
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    ip: req.ip,
+    key: req.apiKey ? req.apiKey.id : undefined,
+    reason,
+  });
+  res.header("Retry-After", String(retryAfterSec));
+  return res.status(429).json({
+    ok: false,
+    service: SERVICE_NAME,
+    error: reason,
+    message:
+      reason === "ai_quota_exceeded"
+        ? "Cuota diaria de análisis IA agotada para este cliente."
+        : `Demasiadas peticiones. Reintenta en ${retryAfterSec} s.`,
+    retry_after: retryAfterSec,
+  });
+}
+
+// Middleware (después de requireApiKey): límite por key + cuota diaria de IA
+function limitByClient(req, res, next) {
+  req.clientId = clientIdFor(req);
+  logger.addContext({ client: req.clientId });
+
+  if (req.apiKey) {
+    const result = keyLimiter.hit(
+      req.clientId,
+      req.apiKey.rate_limit_max || RATE_LIMIT_KEY_MAX
+    );
+    if (!result.allowed) {
+      return rejectTooManyRequests(req, res, result.retryAfterSec, "rate_limit_key");
+    }
   }
 
-  const modelId = encodeURIComponent(GEMINI_MODEL);
+  const quota =
+    req.apiKey && req.apiKey.daily_ai_quota != null
+      ? req.apiKey.daily_ai_quota
+      : AI_DAILY_QUOTA;
+  if (quota && aiUsage.callsToday(req.clientId) >= quota) {
+    return rejectTooManyRequests(req, res, secondsUntilNextDay(), "ai_quota_exceeded");
+  }
 
-  // Usamos la API v1beta porque es la que está aceptando este modelo en tu cuenta.
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelId}:generateContent`;
+  next();
+}
 
-  // Combinamos system + user en un único texto para evitar campos no soportados
-  const fullPrompt = `${systemPrompt}\n\n---\n\n${userPrompt}`;
+/* =====================================================================
+ *  PROMPTS IA (versiones en lib/prompts.js)
+ * ===================================================================== */
 
-  const body = {
-    contents: [
-      {
-        role: "user",
-        parts: [{ text: fullPrompt }],
-      },
-    ],
-  };
+// Middleware: versión del prompt de la petición (body.prompt_version, ?prompt_version=
+// o PROMPT_VERSION) en req.prompt = { version, hash, system }
+function selectPrompt(req, res, next) {
+  const requested =
+    (req.body && req.body.prompt_version) || req.query.prompt_version || PROMPT_VERSION;
+  try {
+    req.prompt = getPrompt(requested);
+  } catch (err) {
+    return res.status(400).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "invalid_prompt_version",
+      message: err.message,
+    });
+  }
+  return next();
+}
 
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      "x-goog-api-key": GEMINI_API_KEY,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(body),
+/* =====================================================================
+ *  LLAMADA A LA IA (proveedor configurable) CON PARSEO ROBUSTO DE JSON
+ * ===================================================================== */
+
+// Métricas + log de cada llamada a la IA
+function recordAICall({ provider, purpose, result, started, usage }) {
+  const seconds = (Date.now() - started) / 1000;
+  aiRequests.inc({ provider, purpose, result });
+  aiDuration.observe({ provider, purpose }, seconds);
+  logger.info("IA: llamada", {
+    provider,
+    purpose,
+    result,
+    duration_ms: Date.now() - started,
+    prompt_tokens: usage ? usage.prompt_tokens : undefined,
+    completion_tokens: usage ? usage.completion_tokens : undefined,
   });
+}
+
+// ctx.trace: si viene, se le añade cada llamada con el texto crudo (auditoría)
+function traceAICall(ctx, call) {
+  if (ctx.trace) ctx.trace.ai_calls.push(call);
+}
+
+// ctx: { client, purpose, trace }
+// ctx.client: cliente al que se imputa el consumo (llamadas / tokens)
+// (purpose: analisis | reparacion | borrador | resumen_llamada, para las métricas)
+async function callAIJSON(systemPrompt, userPrompt, ctx = {}) {
+  const purpose = ctx.purpose || "analisis";
+  const started = Date.now();
 
-  if (!resp.ok) {
-    const errorText = await resp.text().catch(() => "");
-    const msg = `Error Gemini HTTP ${resp.status}: ${errorText}`;
-    throw new Error(msg);
+  let generated;
+  try {
+    generated = await aiProviders.generateText(systemPrompt, userPrompt);
+  } catch (err) {
+    const provider = aiProviders.describeProviders().primary;
+    recordAICall({ provider, purpose, result: "error", started });
+    traceAICall(ctx, { purpose, provider, result: "error", error: err.message });
+    throw err;
   }
 
-  const data = await resp.json();
+  const { text, usage, provider, model } = generated;
+  aiUsage.record(ctx.client || "desconocido", usage);
+  const rawText = text || "";
 
-  // Unimos todos los textos de las parts
-  const rawText =
-    data?.candidates?.[0]?.content?.parts
-      ?.map((p) => p.text || "")
-      .join("")
-      .trim() || "";
+  const call = { purpose, provider, model, duration_ms: Date.now() - started, raw_text: rawText };
 
   if (!rawText) {
-    throw new Error("Gemini devolvió contenido vacío");
+    recordAICall({ provider, purpose, result: "error", started, usage });
+    traceAICall(ctx, { ...call, result: "error" });
+    throw new Error(`La IA (${provider}) devolvió contenido vacío`);
   }
 
-  // Helper para intentar parsear JSON de forma segura
-  function tryParse(str) {
-    try {
-      return JSON.parse(str);
-    } catch (_e) {
-      return null;
-    }
+  const parsed = parseAIJson(rawText);
+  if (!parsed) {
+    recordAICall({ provider, purpose, result: "error_parseo", started, usage });
+    traceAICall(ctx, { ...call, result: "error_parseo" });
+    logger.error("IA: no se pudo parsear el JSON", { provider, raw_text: rawText.slice(0, 2000) });
+    const err = new Error("error_parseo_json");
+    err.rawText = rawText;
+    throw err;
   }
 
-  // 1º intento: el texto entero es JSON puro
-  let parsed = tryParse(rawText);
+  recordAICall({ provider, purpose, result: "ok", started, usage });
+  traceAICall(ctx, { ...call, result: "ok" });
+  return parsed;
+}
+
+// Ajusta al esquema y deja constancia de los campos corregidos
+function normalizeAIResult(parsed, validation = {}) {
+  const { value, coerced } = coerceAnalysis(parsed);
 
-  // 2º intento: buscar el primer '{' y el último '}' y parsear solo ese trozo
-  if (!parsed) {
-    const first = rawText.indexOf("{");
-    const last = rawText.lastIndexOf("}");
-    if (first !== -1 && last !== -1 && last > first) {
-      const jsonSlice = rawText.slice(first, last + 1);
-      parsed = tryParse(jsonSlice);
+  return {
+    ...value,
+    raw: parsed,
+    validacion: {
+      valido: !validation.errors || validation.errors.length === 0,
+      errores: validation.errors || [],
+      reparado: Boolean(validation.repaired),
+      campos_corregidos: coerced,
+    },
+  };
+}
+
+// Análisis IA completo: llamada + validación de esquema + (si falla) una
+// petición de reparación con los errores. Lo que siga fuera de esquema se corrige.
+async function analyzeWithAI(systemPrompt, userPrompt, ctx = {}) {
+  let parsed = null;
+  let previousText = "";
+  let errors;
+
+  try {
+    parsed = await callAIJSON(systemPrompt, userPrompt, ctx);
+    previousText = JSON.stringify(parsed);
+    errors = validateAnalysis(parsed);
+  } catch (err) {
+    if (err.message !== "error_parseo_json" || !AI_REPAIR_ENABLED) throw err;
+    previousText = err.rawText || "";
+    errors = ["la respuesta no es un JSON válido"];
+  }
+
+  let repaired = false;
+
+  if (errors.length && AI_REPAIR_ENABLED) {
+    logger.warn("IA: JSON fuera de esquema, se pide reparación", { errores: errors });
+    try {
+      const repairedParsed = await callAIJSON(
+        systemPrompt,
+        buildRepairPrompt(userPrompt, previousText, errors),
+        { ...ctx, purpose: "reparacion" }
+      );
+      const repairErrors = validateAnalysis(repairedParsed);
+      // Nos quedamos con la reparación salvo que sea peor que el original
+      if (!parsed || repairErrors.length <= errors.length) {
+        parsed = repairedParsed;
+        repaired = repairErrors.length === 0;
+        errors = repairErrors;
+      }
+    } catch (err) {
+      logger.error("IA: falló la petición de reparación", { err });
     }
   }
 
   if (!parsed) {
-    console.error("[Gemini] No se pudo parsear JSON. Respuesta cruda:", rawText);
     throw new Error("error_parseo_json");
   }
 
-  return parsed;
+  return normalizeAIResult(parsed, { errors, repaired });
+}
+
+// Redactor de PII para un mensaje según su canal
+function piiRedactorFor(body) {
+  const canal = body.canal || body.channel || "";
+  return createRedactor(PII_REDACTION_ENABLED ? redactionTypesFor(PII_REDACTION, canal) : []);
 }
 
-function normalizeAIResult(parsed) {
-  const intencion = parsed.intencion || parsed.intent || "otros";
-  const idioma = parsed.idioma || parsed.language || "es";
-  const pais = parsed.pais || parsed.country || "Desconocido";
-  const urgencia = parsed.urgencia || parsed.urgency || "media";
-  const resumen = parsed.resumen || "";
-  const pregunta = parsed.pregunta || "";
-  const datos_detectados = parsed.datos_detectados || parsed.data || {};
+// Análisis de un mensaje de cliente: la PII sale del texto y de los metadatos antes de
+// llamar a la IA y se restaura en el resultado (p. ej. la dirección en datos_detectados).
+// ctx: { prompt, client, trace }. El resultado lleva pii_redactado con los tipos sustituidos.
+async function analyzeMessage(text, meta, { prompt, ...ctx }) {
+  const redactor = piiRedactorFor(meta);
+  // El nombre se registra antes de redactar el texto ("Soy Ana Pérez" → "Soy [NOMBRE_1]")
+  const nombre = redactor.redactValue("nombre", meta.nombre);
+  const redactedText = redactor.redact(String(text));
+  const redactedMeta = {
+    ...meta,
+    nombre,
+    email: redactor.redact(meta.email || ""),
+    asunto: redactor.redact(meta.asunto || ""),
+    historial: redactor.redact(meta.historial || []),
+  };
+  const pii = redactor.redactedTypes();
+
+  const normalized = await analyzeWithAI(
+    prompt.system,
+    buildUserPrompt(redactedText, { ...redactedMeta, marcadores: pii.length > 0 }),
+    ctx
+  );
+  return { ...redactor.restore(normalized), pii_redactado: pii };
+}
 
+// Bloque "ai" común de las respuestas de los endpoints
+function buildAIResponse(normalized) {
   return {
-    intencion,
-    idioma,
-    pais,
-    urgencia,
-    resumen,
-    pregunta,
-    datos_detectados,
-    raw: parsed,
+    status: "ok",
+    resumen: normalized.resumen,
+    respuesta: normalized.raw,
+    motivo: null,
+    intencion: normalized.intencion,
+    idioma: normalized.idioma,
+    pais: normalized.pais,
+    urgencia: normalized.urgencia,
+    pregunta: normalized.pregunta,
+    datos_detectados: normalized.datos_detectados,
+    puntuacion: scoreLead(normalized, LEAD_SCORING),
+    validacion: normalized.validacion,
+    pii_redactado: normalized.pii_redactado || [],
+    ...(normalized.llamada ? { llamada: normalized.llamada } : {}),
+    ...(normalized.conversacion ? { conversacion: normalized.conversacion } : {}),
   };
 }
 
@@ -234,7 +812,7 @@ function normalizeAIResult(parsed) {
  *  ENDPOINT IA PURO
  * ===================================================================== */
 
-app.post("/lead/analyze", async (req, res) => {
+app.post("/lead/analyze", requireApiKey("lead:analyze"), limitByClient, selectPrompt, async (req, res) => {
   const body = req.body || {};
   const text =
     body.text || body.mensaje || body.message || body.content || "";
@@ -256,32 +834,27 @@ app.post("/lead/analyze", async (req, res) => {
     email: body.email,
   };
 
-  const systemPrompt = buildSystemPrompt();
-  const userPrompt = buildUserPrompt(String(text), meta);
+  const trace = { ai_calls: [] };
+  const auditFields = { route: "/lead/analyze", input: body, prompt: req.prompt, trace };
 
   try {
-    const parsed = await callGeminiJSON(systemPrompt, userPrompt);
-    const normalized = normalizeAIResult(parsed);
+    const normalized = await analyzeMessage(String(text), meta, {
+      prompt: req.prompt,
+      client: req.clientId,
+      trace,
+    });
+    auditAnalysis({ ...auditFields, analysis: normalized });
 
     return res.json({
       ok: true,
       service: SERVICE_NAME,
       demo: false,
-      ai: {
-        status: "ok",
-        resumen: normalized.resumen,
-        respuesta: normalized.raw,
-        motivo: null,
-        intencion: normalized.intencion,
-        idioma: normalized.idioma,
-        pais: normalized.pais,
-        urgencia: normalized.urgencia,
-        pregunta: normalized.pregunta,
-        datos_detectados: normalized.datos_detectados,
-      },
+      prompt_version: req.prompt.version,
+      ai: buildAIResponse(normalized),
     });
   } catch (err) {
-    console.error("[/lead/analyze] Error:", err.message);
+    logger.error("Error analizando lead", { err });
+    auditAnalysis({ ...auditFields, error: err });
 
     const isParseError = err.message === "error_parseo_json";
 
@@ -304,391 +877,690 @@ app.post("/lead/analyze", async (req, res) => {
  *  ODOO JSON-RPC
  * ===================================================================== */
 
-async function authenticateOdoo() {
-  if (cachedOdooUid) {
-    return cachedOdooUid;
-  }
-
-  if (!ODOO_BASE_URL || !ODOO_DB || !ODOO_USER_EMAIL || !ODOO_API_KEY) {
-    throw new Error(
-      "Faltan variables Odoo (BASE_URL, DB, USER_EMAIL, API_KEY)"
-    );
-  }
-
-  const url = `${ODOO_BASE_URL}/jsonrpc`;
-
-  const body = {
-    jsonrpc: "2.0",
-    method: "call",
-    params: {
-      service: "common",
-      method: "authenticate",
-      args: [ODOO_DB, ODOO_USER_EMAIL, ODOO_API_KEY, {}],
-    },
-    id: 1,
-  };
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    throw new Error(
-      `Error autenticando en Odoo: HTTP ${resp.status} ${text}`
-    );
-  }
-
-  const data = await resp.json();
-  const uid = data.result;
-
-  if (!uid) {
-    throw new Error("Autenticación Odoo fallida (uid vacío)");
-  }
-
-  cachedOdooUid = uid;
-  return uid;
-}
-
 // Buscar país por nombre (res.country)
-async function getCountryIdByName(uid, countryName) {
+async function getCountryIdByName(countryName) {
   if (!countryName || countryName.toLowerCase() === "desconocido") {
     return null;
   }
 
-  const url = `${ODOO_BASE_URL}/jsonrpc`;
-
-  const body = {
-    jsonrpc: "2.0",
-    method: "call",
-    params: {
-      service: "object",
-      method: "execute_kw",
-      args: [
-        ODOO_DB,
-        uid,
-        ODOO_API_KEY,
-        "res.country",
-        "search",
-        [[["name", "ilike", countryName]]],
-        { limit: 1 },
-      ],
-    },
-    id: 10,
-  };
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    console.error("Error buscando país:", text);
-    return null;
-  }
-
-  const data = await resp.json();
-  if (data.error) {
-    console.error("Odoo error buscando país:", JSON.stringify(data.error));
+  try {
+    const ids = await odoo.search("res.country", [["name", "ilike", countryName]], {
+      limit: 1,
+    });
+    return ids.length ? ids[0] : null;
+  } catch (err) {
+    logger.error("Odoo: error buscando país", { pais: countryName, err });
     return null;
   }
-
-  const ids = data.result || [];
-  return ids.length ? ids[0] : null;
 }
 
-// Buscar tags por nombre (crm.tag)
-async function getTagIdsByNames(uid, names) {
+// Buscar tags por nombre (crm.tag). Las que no existan se crean si
+// TAG_RULES.auto_create está activo; si no, se avisa en el log.
+async function getTagIdsByNames(names) {
   const clean = (names || [])
     .map((n) => String(n || "").trim())
     .filter((n) => n.length > 0);
 
   if (!clean.length) return [];
 
-  const url = `${ODOO_BASE_URL}/jsonrpc`;
+  let found;
+  try {
+    found = await odoo.searchRead("crm.tag", [["name", "in", clean]], {
+      fields: ["id", "name"],
+      limit: clean.length,
+    });
+  } catch (err) {
+    logger.error("Odoo: error buscando tags", { err });
+    return [];
+  }
 
-  const body = {
-    jsonrpc: "2.0",
-    method: "call",
-    params: {
-      service: "object",
-      method: "execute_kw",
-      args: [
-        ODOO_DB,
-        uid,
-        ODOO_API_KEY,
-        "crm.tag",
-        "search_read",
-        [[["name", "in", clean]]],
-        { fields: ["id", "name"], limit: clean.length },
-      ],
-    },
-    id: 11,
-  };
+  const ids = found.map((t) => t.id);
+  const existing = new Set(found.map((t) => t.name));
+  const missing = clean.filter((n) => !existing.has(n));
 
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
+  if (!missing.length) return ids;
 
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    console.error("Error buscando tags:", text);
-    return [];
+  if (!TAG_AUTO_CREATE) {
+    logger.warn("Tags inexistentes en Odoo (no se asignan)", { tags: missing });
+    return ids;
   }
 
-  const data = await resp.json();
-  if (data.error) {
-    console.error("Odoo error buscando tags:", JSON.stringify(data.error));
-    return [];
+  for (const name of missing) {
+    try {
+      const id = await odoo.create("crm.tag", { name });
+      logger.info("Tag creada en Odoo", { tag: name, tag_id: id });
+      ids.push(id);
+    } catch (err) {
+      logger.error("Odoo: error creando tag", { tag: name, err });
+    }
   }
 
-  const found = data.result || [];
-  return found.map((t) => t.id);
+  return ids;
+}
+
+// Tag(s) de una sección de TAG_RULES para un valor; "_fallback" si no está mapeado
+function mapTagRule(section, value) {
+  const rules = TAG_RULES[section] || {};
+  const key = String(value || "").trim().toLowerCase();
+  const tag = Object.prototype.hasOwnProperty.call(rules, key)
+    ? rules[key]
+    : rules._fallback;
+  if (!tag) return [];
+  return Array.isArray(tag) ? tag : [tag];
 }
 
-// Construir tags a partir de IA + origen / canal
-function buildTagNames(ai, originalBody) {
-  const tagNames = [];
+// Tags elegidos y el motivo de cada uno (reglas en config/tag-rules.json)
+function explainTags(ai, originalBody) {
+  const chosen = [];
+  const add = (names, motivo) => {
+    for (const tag of names) {
+      if (!chosen.some((c) => c.tag === tag)) chosen.push({ tag, motivo });
+    }
+  };
 
-  // Intención → tags ya creadas
+  // Intención (si no viene o no está mapeada → _fallback)
   const intencion = (ai.intencion || "").toLowerCase();
-  switch (intencion) {
-    case "maquina":
-      tagNames.push("Máquina de Pizzas y comida");
-      break;
-    case "pizzas":
-      tagNames.push("Pizza sector Horeca");
-      break;
-    case "ambos":
-      tagNames.push("Ambos");
-      break;
-    case "operador":
-      tagNames.push("Operador vending");
-      break;
-    case "soporte":
-      tagNames.push("IA: Soporte técnico");
-      break;
-    case "info":
-      tagNames.push("IA: Información general");
-      break;
-    case "otros":
-      tagNames.push("Otros");
-      break;
-    default:
-      tagNames.push("IA: Revisar manualmente");
-      break;
-  }
+  add(mapTagRule("intencion", intencion), `intencion=${intencion || "(vacía)"}`);
 
   // Urgencia
   const urg = (ai.urgencia || "").toLowerCase();
-  if (urg === "alta") tagNames.push("Urgencia: alta");
-  else if (urg === "media") tagNames.push("Urgencia: media");
-  else if (urg === "baja") tagNames.push("Urgencia: baja");
-
-  // Origen
-  const origen =
-    (originalBody.origen || originalBody.source || "").toLowerCase();
-  if (origen === "web") tagNames.push("Origen: web");
-  else if (origen === "email") tagNames.push("Origen: email");
-  else if (origen === "telefono" || origen === "teléfono")
-    tagNames.push("Origen: teléfono");
-  else if (
-    origen === "red_social" ||
-    origen === "redes" ||
-    origen === "social"
-  )
-    tagNames.push("Origen: redes sociales");
-  else if (origen === "cita") tagNames.push("Origen: cita");
-
-  // Canal
-  const canal =
-    (originalBody.canal || originalBody.channel || "").toLowerCase();
-  if (canal === "formulario") tagNames.push("Canal: formulario");
-  else if (canal === "llamada") tagNames.push("Canal: llamada");
-  else if (canal === "whatsapp") tagNames.push("Canal: WhatsApp");
-  else if (canal === "instagram") tagNames.push("Canal: Instagram");
-  else if (canal === "facebook") tagNames.push("Canal: Facebook");
-  else if (canal === "cita") tagNames.push("Canal: cita");
+  if (urg) add(mapTagRule("urgencia", urg), `urgencia=${urg}`);
+
+  // Origen (solo si viene informado)
+  const origen = originalBody.origen || originalBody.source || "";
+  if (origen) add(mapTagRule("origen", origen), `origen=${origen}`);
+
+  // Canal (solo si viene informado)
+  const canal = originalBody.canal || originalBody.channel || "";
+  if (canal) add(mapTagRule("canal", canal), `canal=${canal}`);
 
   // Tipo IA genérico si no se ha añadido nada aún
+  const iaPrefix = TAG_RULES.ia_prefix || "IA:";
+  const leadValido = TAG_RULES.lead_valido || {};
   if (
-    !tagNames.some((n) => n.startsWith("IA:")) &&
-    ["maquina", "pizzas", "ambos", "operador"].includes(intencion)
+    leadValido.tag &&
+    !chosen.some((c) => c.tag.startsWith(iaPrefix)) &&
+    (leadValido.intenciones || []).includes(intencion)
   ) {
-    tagNames.push("IA: Lead válido");
+    add([leadValido.tag], `ningún tag "${iaPrefix}" e intencion=${intencion}`);
   }
 
-  if (!tagNames.some((n) => n.startsWith("IA:"))) {
-    tagNames.push("IA: Revisar manualmente");
+  if (
+    TAG_RULES.revisar_manualmente &&
+    !chosen.some((c) => c.tag.startsWith(iaPrefix))
+  ) {
+    add([TAG_RULES.revisar_manualmente], `ningún tag "${iaPrefix}"`);
   }
 
-  // Eliminar duplicados
-  return Array.from(new Set(tagNames));
+  return chosen;
 }
 
-// Construir sugerencia de respuesta (x_respuesta_ia)
-function buildSuggestedReply(ai, originalBody) {
-  const nombre =
-    originalBody.nombre ||
-    originalBody.name ||
-    originalBody.contact_name ||
-    "Hola";
-  const idioma = (ai.idioma || "es").toLowerCase();
-  const intencion = (ai.intencion || "").toLowerCase();
-  const urg = (ai.urgencia || "").toLowerCase();
-  const pais = ai.pais || "";
+// Datos de la respuesta sugerida (marcadores de las plantillas)
+function replyContext(ai, originalBody) {
   const datos = ai.datos_detectados || {};
   const ubicacion =
     datos.ubicacion && datos.ubicacion.toLowerCase() !== "no especifica"
       ? datos.ubicacion
       : "";
-  const citaUrl = ODOO_APPOINTMENT_URL;
+  const pais = ai.pais && ai.pais !== "Desconocido" ? ai.pais : "";
 
-  const baseNombre = nombre ? `Hola ${nombre},` : "Hola,";
+  return {
+    idioma: ai.idioma || "es",
+    intencion: ai.intencion || "",
+    urgencia: ai.urgencia || "",
+    nombre:
+      originalBody.nombre || originalBody.name || originalBody.contact_name || "",
+    ubicacion,
+    pais,
+    citaUrl: ODOO_APPOINTMENT_URL,
+  };
+}
 
-  // De momento nos centramos en español; en inglés hacemos versión simple
-  const isSpanish = idioma === "es" || idioma === "ca";
+// Construir sugerencia de respuesta (x_respuesta_ia)
+function buildSuggestedReply(ai, originalBody) {
+  return renderReply(REPLY_TEMPLATES, replyContext(ai, originalBody)).texto;
+}
 
-  if (!isSpanish) {
-    // Versión muy simple en inglés
-    let msg = `${baseNombre} thank you for contacting us.\n\n`;
-    if (
-      intencion === "maquina" ||
-      intencion === "operador" ||
-      intencion === "ambos"
-    ) {
-      msg +=
-        "We will send you information about our vending machines (SmartChef24h) and commercial conditions.\n";
-    } else if (intencion === "pizzas") {
-      msg +=
-        "We will send you information about our pizzas catalog, formats and prices.\n";
-    } else if (intencion === "soporte") {
-      msg +=
-        "We have received your technical support request and we'll review it as soon as possible.\n";
-    } else {
-      msg += "We will reply with the information you requested.\n";
-    }
-    if (
-      citaUrl &&
-      (intencion === "maquina" ||
-        intencion === "operador" ||
-        intencion === "ambos")
-    ) {
-      msg += `\nIf you prefer, you can book a call here: ${citaUrl}`;
-    }
-    return msg.trim();
-  }
+// Respuesta para x_respuesta_ia según AI_REPLY_MODE.
+// Devuelve { texto, fuente: "ia" | "plantilla", errores } (errores = motivos del descarte).
+async function buildReply(ai, originalBody, ctx = {}) {
+  const template = { texto: buildSuggestedReply(ai, originalBody), fuente: "plantilla", errores: [] };
+  if (AI_REPLY_MODE !== "ia") return template;
 
-  // Versión española
-  let msg = `${baseNombre} gracias por contactar con Piznalia / La Pizzerina.\n\n`;
+  const context = replyContext(ai, originalBody);
+  const idioma = renderReply(REPLY_TEMPLATES, context).idioma;
+  const firma = (FAQ.firma && (FAQ.firma[idioma] || FAQ.firma.es)) || FAQ.empresa;
 
-  if (
-    intencion === "maquina" ||
-    intencion === "operador" ||
-    intencion === "ambos"
-  ) {
-    msg +=
-      "Hemos recibido tu consulta sobre nuestras máquinas SmartChef24h y las condiciones para instalarlas";
-    if (ubicacion) {
-      msg += ` en ${ubicacion}`;
-    } else if (pais && pais !== "Desconocido") {
-      msg += ` en ${pais}`;
-    }
-    msg +=
-      ". Te enviaremos una propuesta adaptada a tu caso (ubicación, previsión de ventas y modelo de colaboración).\n";
-  } else if (intencion === "pizzas") {
-    msg +=
-      "Hemos recibido tu interés por nuestras pizzas. Te enviaremos información sobre catálogo, formatos, precios y condiciones de suministro";
-    if (pais && pais !== "Desconocido") msg += ` para ${pais}`;
-    msg += ".\n";
-  } else if (intencion === "soporte") {
-    msg +=
-      "Hemos recibido tu consulta de soporte técnico. Vamos a revisar el caso y te responderemos con las instrucciones y pasos a seguir lo antes posible.\n";
-  } else if (intencion === "info") {
-    msg +=
-      "Hemos recibido tu consulta y te responderemos con la información que necesitas.\n";
-  } else {
-    msg +=
-      "Hemos recibido tu mensaje y lo revisaremos para darte la mejor respuesta posible.\n";
+  // Tampoco el borrador manda datos personales a la IA: fuera del mensaje y del análisis
+  const redactor = piiRedactorFor(originalBody);
+  const nombre = redactor.redactValue("nombre", context.nombre);
+
+  let errores;
+  try {
+    const draft = redactor.restore(
+      await callAIJSON(
+        buildDraftSystemPrompt(FAQ, { citaUrl: context.citaUrl }),
+        buildDraftUserPrompt(
+          redactor.redact(ai),
+          redactor.redact(String(getOriginalText(originalBody))),
+          { idioma, nombre, firma }
+        ),
+        { ...ctx, purpose: "borrador" }
+      )
+    );
+    errores = validateDraft(draft, { faq: FAQ, idioma, citaUrl: context.citaUrl });
+    if (!errores.length) {
+      return { texto: draft.respuesta.trim(), fuente: "ia", errores: [] };
+    }
+  } catch (err) {
+    errores = [err.message];
   }
 
-  // Propuesta de cita sólo si tiene sentido
-  const puedeOfrecerCita =
-    citaUrl &&
-    (intencion === "maquina" ||
-      intencion === "operador" ||
-      intencion === "ambos" ||
-      intencion === "info") &&
-    urg !== "baja";
+  logger.warn("Borrador IA descartado, se usa la plantilla", { errores });
+  return { ...template, errores };
+}
 
-  if (puedeOfrecerCita) {
-    msg += "\nSi lo prefieres, podemos comentarlo en detalle en una llamada.\n";
-    msg += `Puedes agendar una cita directamente aquí: ${citaUrl}\n`;
-  }
+// Línea para la descripción / historial sobre el origen de la respuesta sugerida
+function describeReplySource(reply) {
+  if (!reply || AI_REPLY_MODE !== "ia") return "";
+  if (reply.fuente === "ia") return "Respuesta sugerida: borrador IA (revisar antes de enviar)";
+  return `Respuesta sugerida: plantilla (borrador IA descartado: ${reply.errores.join("; ")})`;
+}
 
-  msg += "\nUn saludo,\nEquipo Piznalia / La Pizzerina";
+// Línea para el historial cuando la conversación cambia la intención del contacto
+function describeConversationChange(conversacion, ai) {
+  if (!conversacion || !conversacion.mensajes_previos) return "";
+  const base = `Análisis re-evaluado con ${conversacion.mensajes_previos} mensajes anteriores del contacto`;
+  const antes = conversacion.intencion_anterior;
+  if (antes && antes !== ai.intencion) return `${base}: intención ${antes} → ${ai.intencion}`;
+  return base;
+}
 
-  return msg.trim();
+// Prioridad Odoo ("1" baja … "3" alta) a partir de la urgencia IA
+function priorityFromUrgency(urgencia) {
+  const urg = (urgencia || "").toLowerCase();
+  if (urg === "alta") return "3";
+  if (urg === "media") return "2";
+  return "1"; // baja por defecto
 }
 
-// Crear lead en Odoo con todos los campos
-async function createOdooLead(ai, originalBody) {
-  const uid = await authenticateOdoo();
+/* =====================================================================
+ *  DEDUPLICACIÓN DE LEADS (email / teléfono)
+ * ===================================================================== */
 
-  const partnerName =
-    originalBody.nombre ||
-    originalBody.name ||
-    originalBody.contact_name ||
-    "Lead sin nombre";
+const LEAD_DEDUP_ENABLED = process.env.LEAD_DEDUP_ENABLED !== "false";
+
+// Número de resúmenes IA que se conservan en x_resumen_ia al actualizar un lead
+const LEAD_SUMMARY_HISTORY = Number(process.env.LEAD_SUMMARY_HISTORY) || 5;
+
+const { findPartnerIds, findOpenLead } = createLeadFinder({
+  odoo,
+  leadFields: [
+    "id",
+    "name",
+    "priority",
+    "email_from",
+    "phone",
+    "partner_id",
+    "user_id",
+    "team_id",
+    "expected_revenue",
+    "tag_ids",
+    "x_resumen_ia",
+  ],
+  // El de la puntuación solo si existe en crm.lead
+  extraLeadFields: async () => {
+    const field = await leadScoreField();
+    return field ? [field] : [];
+  },
+});
+
+// Campo de la puntuación si existe en crm.lead (se comprueba una vez con fields_get) o "".
+// Enviar un campo inexistente haría que Odoo rechazase el lead entero ("Invalid field").
+let scoreFieldCheck = null;
+function leadScoreField() {
+  if (!LEAD_SCORE_FIELD) return Promise.resolve("");
+  if (!scoreFieldCheck) {
+    scoreFieldCheck = odoo
+      .executeKw("crm.lead", "fields_get", [[LEAD_SCORE_FIELD]], { attributes: ["type"] })
+      .then((fields) => {
+        if (fields && fields[LEAD_SCORE_FIELD]) return LEAD_SCORE_FIELD;
+        logger.error("Odoo: el campo de puntuación no existe en crm.lead; no se guarda", {
+          campo: LEAD_SCORE_FIELD,
+        });
+        return "";
+      })
+      .catch((err) => {
+        // Odoo caído: se vuelve a comprobar en el siguiente intento
+        scoreFieldCheck = null;
+        throw err;
+      });
+  }
+  return scoreFieldCheck;
+}
+
+function escapeHtml(str) {
+  return String(str || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
+// Actualizar lead existente con el nuevo análisis y dejar el mensaje en el historial.
+// options: { reply, trace, ref } (trace recibe tags y vals enviados, para la auditoría;
+// ref identifica el mensaje, p.ej. el id del outbox, para que un reintento no repita la nota)
+async function updateOdooLead(existing, ai, originalBody, partnerIds, options = {}) {
+  const { reply, trace, ref } = options;
   const emailFrom = originalBody.email || originalBody.email_from || "";
   const phone = originalBody.phone || originalBody.telefono || "";
-
   const origin = originalBody.origen || originalBody.source || "";
   const channel = originalBody.canal || originalBody.channel || "";
 
-  const textoOriginal =
-    originalBody.text ||
-    originalBody.mensaje ||
-    originalBody.message ||
-    originalBody.content ||
-    "";
+  const tags = explainTags(ai, originalBody);
+  const tagIds = await getTagIdsByNames(tags.map((t) => t.tag));
+  const suggestedReply = reply ? reply.texto : buildSuggestedReply(ai, originalBody);
 
-  // City a partir de datos_detectados.ubicacion
-  let city = "";
-  if (ai.datos_detectados && ai.datos_detectados.ubicacion) {
-    const u = String(ai.datos_detectados.ubicacion).trim();
-    if (u && u.toLowerCase() !== "no especifica") {
-      city = u;
-    }
+  // Nunca bajamos la prioridad de un lead ya abierto
+  const newPriority = priorityFromUrgency(ai.urgencia);
+  const priority =
+    Number(existing.priority || 0) > Number(newPriority)
+      ? existing.priority
+      : newPriority;
+
+  const vals = {
+    priority,
+    // El resumen nuevo se añade a los anteriores (con fecha y canal), no los sustituye
+    x_resumen_ia: mergeSummaries(existing.x_resumen_ia, ai.resumen, {
+      fecha: new Date().toISOString().slice(0, 10),
+      canal: channel,
+      max: LEAD_SUMMARY_HISTORY,
+    }),
+    x_respuesta_ia: suggestedReply,
+  };
+
+  // Puntuación e ingreso esperado: igual que la prioridad, solo suben
+  const scoring = scoreLead(ai, LEAD_SCORING);
+  const scoreField = await leadScoreField();
+  if (scoreField && scoring.score > Number(existing[scoreField] || 0)) {
+    vals[scoreField] = scoring.score;
+  }
+  if (scoring.expected_revenue > Number(existing.expected_revenue || 0)) {
+    vals.expected_revenue = scoring.expected_revenue;
+  }
+
+  // Repartir solo si nadie lo tiene asignado
+  if (LEAD_ROUTING_ENABLED && !existing.user_id && !existing.team_id) {
+    const routing = await routeLead(ai);
+    if (routing.team_id) vals.team_id = routing.team_id;
+    if (routing.user_id) vals.user_id = routing.user_id;
+  }
+
+  // Completar datos de contacto que falten
+  if (!existing.email_from && emailFrom) vals.email_from = emailFrom;
+  if (!existing.phone && phone) vals.phone = phone;
+
+  // Vincular contacto si el lead aún no tiene uno
+  if (!existing.partner_id) {
+    const countryId = await getCountryIdByName(ai.pais);
+    const partnerId = await resolvePartner(ai, originalBody, {
+      partnerIds,
+      countryId,
+      city: detectedCity(ai),
+    });
+    if (partnerId) vals.partner_id = partnerId;
+  }
+
+  // Análisis hecho con la conversación previa: intención y urgencia sustituyen a las
+  // anteriores (se quitan sus tags); si no, o si no se pueden leer las tags actuales,
+  // solo se añaden tags
+  const conversacion = ai.conversacion || null;
+  let currentTags = null;
+  if (conversacion && conversacion.mensajes_previos && (existing.tag_ids || []).length) {
+    try {
+      currentTags = await odoo.read("crm.tag", existing.tag_ids, ["name"]);
+    } catch (err) {
+      logger.error("Odoo: error leyendo las tags del lead, se añaden sin quitar las anteriores", {
+        lead_id: existing.id,
+        err,
+      });
+    }
+  }
+  if (currentTags) {
+    const tagDiff = diffTags(
+      currentTags.map((t) => t.name),
+      tags.map((t) => t.tag),
+      CONVERSATION_TAGS
+    );
+    const kept = currentTags.filter((t) => !tagDiff.quitar.includes(t.name)).map((t) => t.id);
+    // Many2many: sustituir por las que se conservan + las nuevas
+    vals.tag_ids = [[6, 0, Array.from(new Set([...kept, ...tagIds]))]];
+  } else if (tagIds.length) {
+    // Many2many: añadir (4) sin quitar las tags que ya tenga
+    vals.tag_ids = tagIds.map((id) => [4, id]);
+  }
+
+  if (trace) {
+    trace.tags = tags;
+    trace.odoo = { model: "crm.lead", method: "write", ids: [existing.id], vals };
+  }
+
+  await odoo.write("crm.lead", [existing.id], vals);
+
+  const messageBody = `
+<p><b>Nuevo mensaje recibido</b> (origen: ${escapeHtml(origin)}, canal: ${escapeHtml(channel)})</p>
+<p>${escapeHtml(getOriginalText(originalBody)).replace(/\n/g, "<br/>")}</p>
+${originalBody.descripcion_extra ? `<p>${escapeHtml(originalBody.descripcion_extra).replace(/\n/g, "<br/>")}</p>` : ""}
+<p><b>Resumen IA:</b> ${escapeHtml(ai.resumen)}<br/>
+<b>Pregunta:</b> ${escapeHtml(ai.pregunta)}<br/>
+<b>Intención:</b> ${escapeHtml(ai.intencion)} · <b>Urgencia:</b> ${escapeHtml(ai.urgencia)} · <b>Puntuación:</b> ${scoring.score}/100</p>
+${describeConversationChange(conversacion, ai) ? `<p>${escapeHtml(describeConversationChange(conversacion, ai))}</p>` : ""}
+${describeReplySource(reply) ? `<p>${escapeHtml(describeReplySource(reply))}</p>` : ""}
+${ref ? `<p><small>Ref: ${escapeHtml(ref)}</small></p>` : ""}
+  `.trim();
+
+  // La escritura se puede repetir sin efecto; la nota no: si un intento anterior ya la
+  // dejó (misma ref) no se vuelve a publicar
+  if (ref && (await noteAlreadyPosted(existing.id, ref))) {
+    logger.info("Odoo: nota ya publicada en un intento anterior", { lead_id: existing.id, ref });
+    return existing.id;
+  }
+  await odoo.executeKw("crm.lead", "message_post", [[existing.id]], {
+    body: messageBody,
+    message_type: "comment",
+    subtype_xmlid: "mail.mt_note",
+  });
+
+  return existing.id;
+}
+
+async function noteAlreadyPosted(leadId, ref) {
+  const found = await odoo.search(
+    "mail.message",
+    [
+      ["model", "=", "crm.lead"],
+      ["res_id", "=", leadId],
+      ["body", "ilike", `Ref: ${ref}`],
+    ],
+    { limit: 1 }
+  );
+  return found.length > 0;
+}
+
+function getOriginalText(originalBody) {
+  return (
+    originalBody.text ||
+    originalBody.mensaje ||
+    originalBody.message ||
+    originalBody.content ||
+    ""
+  );
+}
+
+/* =====================================================================
+ *  CONTACTOS (res.partner)
+ * ===================================================================== */
+
+// Valor de datos_detectados o "" si la IA no lo encontró
+function detectedValue(value) {
+  const v = String(value || "").trim();
+  if (!v) return "";
+  const low = v.toLowerCase();
+  if (low === "no especifica" || low === "desconocido") return "";
+  return v;
+}
+
+function detectedCity(ai) {
+  return detectedValue(ai.datos_detectados && ai.datos_detectados.ubicacion);
+}
+
+// Empresa: primero la que venga del formulario, si no la detectada por la IA
+function detectedCompany(ai, originalBody) {
+  return detectedValue(
+    originalBody.empresa ||
+      originalBody.company ||
+      originalBody.company_name ||
+      (ai.datos_detectados && ai.datos_detectados.empresa)
+  );
+}
+
+// Buscar o crear la empresa (is_company) por nombre exacto
+async function findOrCreateCompany(companyName, { countryId, city }) {
+  const found = await odoo.search(
+    "res.partner",
+    [
+      ["is_company", "=", true],
+      ["name", "=ilike", companyName],
+    ],
+    { limit: 1 }
+  );
+
+  if (found.length) return found[0];
+
+  return odoo.create("res.partner", {
+    name: companyName,
+    is_company: true,
+    city: city || undefined,
+    country_id: countryId || undefined,
+  });
+}
+
+// Devuelve el id del contacto del lead: existente por email/teléfono o creado nuevo.
+// Si se detecta empresa, el contacto nuevo se crea como hijo de la empresa.
+async function resolvePartner(ai, originalBody, options = {}) {
+  const { countryId, city } = options;
+
+  const emailFrom = originalBody.email || originalBody.email_from || "";
+  const phone = originalBody.phone || originalBody.telefono || "";
+  const email = normalizeEmail(emailFrom);
+  const phoneKey = normalizePhone(phone);
+
+  // Sin email ni teléfono no creamos contactos (evita duplicados anónimos)
+  if (!email && !phoneKey) return null;
+
+  const partnerIds =
+    options.partnerIds || (await findPartnerIds(email, phoneKey));
+  if (partnerIds.length) return partnerIds[0];
+
+  const name =
+    originalBody.nombre ||
+    originalBody.name ||
+    originalBody.contact_name ||
+    emailFrom ||
+    phone;
+
+  try {
+    let parentId = null;
+    const companyName = detectedCompany(ai, originalBody);
+    if (companyName) {
+      parentId = await findOrCreateCompany(companyName, {
+        countryId,
+        city,
+      });
+    }
+
+    return await odoo.create("res.partner", {
+      name,
+      email: emailFrom || undefined,
+      phone: phone || undefined,
+      city: city || undefined,
+      country_id: countryId || undefined,
+      parent_id: parentId || undefined,
+      type: "contact",
+    });
+  } catch (err) {
+    // El lead se crea igualmente aunque falle el contacto
+    logger.error("Odoo: error creando contacto", { err });
+    return null;
+  }
+}
+
+// Canal para la etiqueta de las métricas: solo los de config/tag-rules.json ("canal"),
+// el resto como "otro" (el valor viene del cliente y no puede abrir series sin límite)
+function channelLabel(value) {
+  const canal = String(value || "").trim().toLowerCase();
+  if (!canal) return "desconocido";
+  const known = Object.keys(TAG_RULES.canal || {}).filter((k) => k !== "_fallback");
+  return known.includes(canal) ? canal : "otro";
+}
+
+// Crear o actualizar lead (y contarlo en las métricas).
+// options.reply: respuesta ya generada (buildReply); si no, la plantilla.
+// options.trace: objeto donde se dejan los tags y los vals enviados a Odoo
+// options.ref: id del mensaje (outbox) para no repetir la nota en los reintentos
+async function upsertOdooLead(ai, originalBody, options = {}) {
+  const lead = await upsertOdooLeadRecord(ai, originalBody, options);
+  leadsTotal.inc({
+    intencion: ai.intencion || "desconocida",
+    canal: channelLabel(originalBody.canal || originalBody.channel),
+    action: lead.action,
+  });
+  logger.info("Lead guardado en Odoo", { lead_id: lead.id, lead_action: lead.action });
+  return lead;
+}
+
+// Si hay un lead abierto del mismo email/teléfono se actualiza; si no, se crea
+async function upsertOdooLeadRecord(ai, originalBody, options) {
+  if (LEAD_DEDUP_ENABLED) {
+    const email = normalizeEmail(
+      originalBody.email || originalBody.email_from
+    );
+    const phoneKey = normalizePhone(
+      originalBody.phone || originalBody.telefono
+    );
+
+    const partnerIds = await findPartnerIds(email, phoneKey);
+    const existing = await findOpenLead(email, phoneKey, partnerIds);
+
+    if (existing) {
+      const id = await updateOdooLead(
+        existing,
+        ai,
+        originalBody,
+        partnerIds,
+        { reply: options.reply, trace: options.trace, ref: options.ref }
+      );
+      return { id, action: "updated" };
+    }
+
+    const id = await createOdooLead(ai, originalBody, {
+      partnerIds,
+      reply: options.reply,
+      trace: options.trace,
+    });
+    return { id, action: "created" };
+  }
+
+  const id = await createOdooLead(ai, originalBody, {
+    reply: options.reply,
+    trace: options.trace,
+  });
+  return { id, action: "created" };
+}
+
+// "Puntuación IA: 72/100 (intencion 35, urgencia 15, …)"
+function describeScoring(scoring) {
+  const parts = Object.entries(scoring.desglose)
+    .map(([criterio, puntos]) => `${criterio} ${puntos}`)
+    .join(", ");
+  return `Puntuación IA: ${scoring.score}/100 (${parts})`;
+}
+
+// Línea para la descripción con los campos que hubo que corregir del JSON IA
+function describeCoercedFields(ai) {
+  const coerced = (ai.validacion && ai.validacion.campos_corregidos) || [];
+  if (!coerced.length) return "";
+  const list = coerced
+    .map((c) => `${c.campo} (${JSON.stringify(c.original)} → ${JSON.stringify(c.valor)})`)
+    .join(", ");
+  return `\nCampos corregidos (IA fuera de esquema): ${list}`;
+}
+
+// Buscar o crear un registro UTM por nombre (utm.campaign / utm.source / utm.medium)
+async function findOrCreateUtm(model, name) {
+  const found = await odoo.search(model, [["name", "=", name]], { limit: 1 });
+  if (found.length) return found[0];
+  return odoo.create(model, { name });
+}
+
+// utm = { campaign, source, medium } (nombres) → campaign_id / source_id / medium_id
+async function resolveUtmVals(utm) {
+  const vals = {};
+  if (!utm) return vals;
+
+  const fields = [
+    ["campaign", "utm.campaign", "campaign_id"],
+    ["source", "utm.source", "source_id"],
+    ["medium", "utm.medium", "medium_id"],
+  ];
+
+  for (const [key, model, field] of fields) {
+    const name = String(utm[key] || "").trim();
+    if (!name) continue;
+    try {
+      vals[field] = await findOrCreateUtm(model, name);
+    } catch (err) {
+      // Sin UTM el lead se crea igual; los ids quedan en la descripción
+      logger.error("Odoo: error resolviendo UTM", { model, name, err });
+    }
   }
 
+  return vals;
+}
+
+// Crear lead en Odoo con todos los campos
+async function createOdooLead(ai, originalBody, options = {}) {
+  const partnerName =
+    originalBody.nombre ||
+    originalBody.name ||
+    originalBody.contact_name ||
+    "Lead sin nombre";
+
+  const emailFrom = originalBody.email || originalBody.email_from || "";
+  const phone = originalBody.phone || originalBody.telefono || "";
+
+  const origin = originalBody.origen || originalBody.source || "";
+  const channel = originalBody.canal || originalBody.channel || "";
+
+  const textoOriginal = getOriginalText(originalBody);
+
+  // City a partir de datos_detectados.ubicacion
+  const city = detectedCity(ai);
+
   // Prioridad según urgencia
-  let priority = "1"; // baja por defecto
-  const urg = (ai.urgencia || "").toLowerCase();
-  if (urg === "alta") priority = "3";
-  else if (urg === "media") priority = "2";
-  else if (urg === "baja") priority = "1";
+  const priority = priorityFromUrgency(ai.urgencia);
 
   // País → country_id
-  const countryId = await getCountryIdByName(uid, ai.pais);
+  const countryId = await getCountryIdByName(ai.pais);
+
+  // Contacto (res.partner) existente o nuevo
+  const partnerId = await resolvePartner(ai, originalBody, {
+    partnerIds: options.partnerIds,
+    countryId,
+    city,
+  });
+  const companyName = detectedCompany(ai, originalBody);
 
   // Tags
-  const tagNames = buildTagNames(ai, originalBody);
-  const tagIds = await getTagIdsByNames(uid, tagNames);
+  const tags = explainTags(ai, originalBody);
+  const tagIds = await getTagIdsByNames(tags.map((t) => t.tag));
 
   // Sugerencia de respuesta
-  const suggestedReply = buildSuggestedReply(ai, originalBody);
+  const suggestedReply = options.reply
+    ? options.reply.texto
+    : buildSuggestedReply(ai, originalBody);
+  const replySource = describeReplySource(options.reply);
+
+  // Puntuación, ingreso esperado y reparto comercial
+  const scoring = scoreLead(ai, LEAD_SCORING);
+  const scoreField = await leadScoreField();
+  const routing = LEAD_ROUTING_ENABLED ? await routeLead(ai) : {};
 
   const vals = {
     name: ai.resumen || ai.pregunta || "Nuevo lead desde IA",
     contact_name: partnerName,
+    partner_id: partnerId || undefined,
+    partner_name: companyName || undefined,
     email_from: emailFrom,
     phone: phone,
     description: `
@@ -705,9 +1577,11 @@ Intención: ${ai.intencion}
 País: ${ai.pais}
 Urgencia: ${ai.urgencia}
 Datos detectados: ${JSON.stringify(ai.datos_detectados || {})}
+${describeScoring(scoring)}${routing.regla ? `\nReparto: regla "${routing.regla}"` : ""}
 
 Origen: ${origin}
-Canal: ${channel}
+Canal: ${channel}${originalBody.asunto ? `\nAsunto: ${originalBody.asunto}` : ""}
+${originalBody.descripcion_extra ? `\n${originalBody.descripcion_extra}\n` : ""}${describeCoercedFields(ai)}${replySource ? `\n${replySource}` : ""}
     `.trim(),
     priority,
     city: city || undefined,
@@ -715,6 +1589,12 @@ Canal: ${channel}
     // Campos personalizados de IA (dejamos fuera x_estado_ia por tipo de campo)
     x_resumen_ia: ai.resumen || "",
     x_respuesta_ia: suggestedReply,
+    ...(scoreField ? { [scoreField]: scoring.score } : {}),
+    expected_revenue: scoring.expected_revenue || undefined,
+    team_id: routing.team_id || undefined,
+    user_id: routing.user_id || undefined,
+    // UTM (campaña / fuente / medio) si el canal los trae, p.ej. Meta Lead Ads
+    ...(await resolveUtmVals(originalBody.utm)),
   };
 
   if (tagIds.length) {
@@ -722,59 +1602,350 @@ Canal: ${channel}
     vals.tag_ids = [[6, 0, tagIds]];
   }
 
-  const url = `${ODOO_BASE_URL}/jsonrpc`;
+  if (options.trace) {
+    options.trace.tags = tags;
+    options.trace.odoo = { model: "crm.lead", method: "create", vals };
+  }
 
-  const body = {
-    jsonrpc: "2.0",
-    method: "call",
-    params: {
-      service: "object",
-      method: "execute_kw",
-      args: [ODOO_DB, uid, ODOO_API_KEY, "crm.lead", "create", [vals]],
-    },
-    id: 2,
-  };
+  let id;
+  try {
+    id = await odoo.create("crm.lead", vals);
+  } catch (err) {
+    logger.error("Odoo: error creando lead", { err, fault: err.faultName || undefined });
+    throw err;
+  }
+
+  await scheduleFollowUp(id, ai, { userId: vals.user_id, trace: options.trace });
+  return id;
+}
+
+/* =====================================================================
+ *  REPARTO COMERCIAL (crm.team / res.users)
+ * ===================================================================== */
+
+// Nombres de equipo → id (los equipos cambian poco; se cachean mientras viva el proceso)
+const teamIdCache = new Map();
+
+async function resolveTeamId(equipo) {
+  if (!equipo) return null;
+  if (typeof equipo === "number") return equipo;
+  if (teamIdCache.has(equipo)) return teamIdCache.get(equipo);
+
+  const found = await odoo.search("crm.team", [["name", "=", equipo]], { limit: 1 });
+  const id = found.length ? found[0] : null;
+  if (!id) logger.warn("Reparto: el equipo no existe en Odoo", { equipo });
+  teamIdCache.set(equipo, id);
+  return id;
+}
+
+// Comerciales candidatos: los de la regla (ids o logins) o los miembros del equipo
+async function resolveCandidateUserIds(rule, teamId) {
+  const usuarios = rule.usuarios || [];
+  if (usuarios.length) {
+    const ids = usuarios.filter((u) => typeof u === "number");
+    const logins = usuarios.filter((u) => typeof u !== "number");
+    if (logins.length) {
+      ids.push(...(await odoo.search("res.users", [["login", "in", logins]])));
+    }
+    return ids.sort((a, b) => a - b);
+  }
+
+  if (!teamId) return [];
+  const teams = await odoo.read("crm.team", [teamId], ["member_ids"]);
+  return ((teams[0] && teams[0].member_ids) || []).slice().sort((a, b) => a - b);
+}
+
+// Equipo y comercial (round-robin dentro de la regla) para el análisis IA.
+// Devuelve { regla, team_id, user_id }; si falla Odoo, el lead se crea sin asignar.
+async function routeLead(ai) {
+  const rule = leadRouter.match(ai);
+  if (!rule) return {};
+
+  try {
+    const teamId = await resolveTeamId(rule.equipo);
+    const candidates = await resolveCandidateUserIds(rule, teamId);
+    const userId = leadRouter.next(rule.nombre || rule.equipo || "por_defecto", candidates);
+    return { regla: rule.nombre || rule.equipo, team_id: teamId, user_id: userId };
+  } catch (err) {
+    logger.error("Reparto: error aplicando la regla", { regla: rule.nombre, err });
+    return { regla: rule.nombre };
+  }
+}
+
+/* =====================================================================
+ *  ACTIVIDADES (mail.activity)
+ * ===================================================================== */
+
+// Ids fijos de Odoo (modelo crm.lead, tipos de actividad por xmlid): se cachean
+// mientras viva el proceso, como los equipos
+const odooRefCache = new Map();
+
+async function resolveOdooRef(key, lookup) {
+  if (odooRefCache.has(key)) return odooRefCache.get(key);
+  const id = (await lookup())[0] || null;
+  if (!id) logger.warn("Odoo: referencia no encontrada", { ref: key });
+  odooRefCache.set(key, id);
+  return id;
+}
+
+// Actividad pendiente sobre un lead. tipo: xmlid del tipo de actividad
+// (mail.mail_activity_data_call = llamada). Devuelve el id de mail.activity.
+async function scheduleLeadActivity(leadId, { tipo = "mail.mail_activity_data_call", resumen, nota, fecha, userId }) {
+  const [module, name] = tipo.split(".");
+  const resModelId = await resolveOdooRef("model:crm.lead", () =>
+    odoo.search("ir.model", [["model", "=", "crm.lead"]], { limit: 1 })
+  );
+  const typeId = await resolveOdooRef(`xmlid:${tipo}`, async () =>
+    (
+      await odoo.searchRead("ir.model.data", [["module", "=", module], ["name", "=", name]], {
+        fields: ["res_id"],
+        limit: 1,
+      })
+    ).map((r) => r.res_id)
+  );
 
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
+  return odoo.create("mail.activity", {
+    res_model_id: resModelId,
+    res_id: leadId,
+    activity_type_id: typeId || undefined,
+    summary: resumen,
+    note: nota ? `<p>${escapeHtml(nota).replace(/\n/g, "<br/>")}</p>` : undefined,
+    date_deadline: fecha || new Date().toISOString().slice(0, 10),
+    user_id: userId || undefined,
   });
+}
 
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    throw new Error(
-      `Error creando lead en Odoo: HTTP ${resp.status} ${text}`
-    );
+// Actividad de seguimiento de un lead recién creado (config/follow-up.json). Nunca lanza:
+// el lead ya existe y un reintento del outbox lo duplicaría.
+async function scheduleFollowUp(leadId, ai, { userId, trace } = {}) {
+  if (!FOLLOW_UP_ENABLED) return null;
+  const plan = planFollowUp(ai, FOLLOW_UP);
+  if (!plan) return null;
+
+  const pregunta = String(ai.pregunta || ai.resumen || "Seguimiento del lead").trim();
+  const actividad = {
+    tipo: plan.tipo,
+    fecha: plan.fecha,
+    user_id: userId || null,
+    resumen: pregunta.length > 200 ? `${pregunta.slice(0, 199)}…` : pregunta,
+  };
+  try {
+    actividad.id = await scheduleLeadActivity(leadId, {
+      tipo: plan.xmlid,
+      resumen: actividad.resumen,
+      nota: `${ai.resumen || ""}\n\nIntención: ${ai.intencion} · Urgencia: ${ai.urgencia} · Plazo: ${plan.dias_laborables} días laborables`,
+      fecha: plan.fecha,
+      userId,
+    });
+  } catch (err) {
+    logger.error("Odoo: no se pudo crear la actividad de seguimiento", { lead_id: leadId, err });
+    actividad.error = err.message;
+  }
+  if (trace) trace.actividad = actividad;
+  return actividad;
+}
+
+/* =====================================================================
+ *  PIPELINE IA + LEAD (lo ejecuta el outbox)
+ * ===================================================================== */
+
+// Procesa un item "lead" del outbox: análisis IA + alta/actualización en Odoo.
+// El análisis se guarda en el item para no repetir la llamada IA si solo falla Odoo.
+// Cada intento deja su traza en la auditoría (también los fallidos).
+async function runLeadJob(item) {
+  const body = item.payload;
+  // Versión fijada al encolar (prompt_version de la petición) o la de por defecto
+  const prompt = getPrompt(item.meta.prompt_version || PROMPT_VERSION);
+  // Las llamadas IA se guardan con el item: un reintento solo por Odoo las conserva
+  item.trace = item.trace || { ai_calls: [] };
+  const trace = { ai_calls: item.trace.ai_calls };
+  const auditFields = {
+    route: item.meta.route,
+    outbox_id: item.id,
+    attempt: item.attempts,
+    input: body,
+    prompt,
+    trace,
+  };
+
+  try {
+    const result = await analyzeAndUpsertLead(item, prompt, trace);
+    auditAnalysis({ ...auditFields, ...result, reply: item.reply });
+    return result;
+  } catch (err) {
+    auditAnalysis({ ...auditFields, analysis: item.analysis, reply: item.reply, error: err });
+    throw err;
   }
+}
 
-  const data = await resp.json();
+async function analyzeAndUpsertLead(item, prompt, trace) {
+  const body = item.payload;
 
-  if (data.error) {
-    console.error("[Odoo create lead] error:", JSON.stringify(data.error));
-    const msg =
-      (data.error.data && data.error.data.message) ||
-      data.error.message ||
-      JSON.stringify(data.error);
-    throw new Error(`Odoo error creando lead: ${msg}`);
+  // Llamada larga: primero el resumen por fragmentos, que también se guarda en el item
+  if (!item.analysis && !item.call_summary && isLongCall(body)) {
+    item.call_summary = await summarizeCall(body, { client: item.meta.client, trace });
+    outbox.update(item);
+  }
+  // Con resumen, la IA (clasificación y borrador) trabaja sobre él y el lead lleva
+  // los momentos clave; el texto original completo sigue yendo a Odoo
+  const aiText = item.call_summary
+    ? describeCallSummary(item.call_summary)
+    : String(getOriginalText(body));
+  const leadBody = item.call_summary ? withKeyMoments(body, item.call_summary) : body;
+  const contactKeys = CONVERSATIONS_ENABLED ? conversationKeys(body) : [];
+
+  if (!item.analysis) {
+    // Mensajes anteriores del mismo contacto (cualquier canal), con su análisis
+    const historial = conversations.history(contactKeys);
+    const meta = {
+      origen: body.origen || body.source,
+      canal: body.canal || body.channel,
+      nombre: body.nombre || body.name,
+      email: body.email,
+      asunto: body.asunto || body.subject,
+      historial,
+    };
+
+    item.analysis = await analyzeMessage(aiText, meta, {
+      prompt,
+      client: item.meta.client,
+      trace,
+    });
+    if (historial.length) {
+      item.analysis.conversacion = {
+        mensajes_previos: historial.length,
+        intencion_anterior: (historial[historial.length - 1].analisis || {}).intencion || null,
+      };
+    }
+    if (item.call_summary) {
+      const { fragmentos, niveles, momentos } = item.call_summary;
+      item.analysis.llamada = { fragmentos, niveles, momentos };
+    }
+    outbox.update(item);
   }
 
-  if (typeof data.result !== "number") {
-    console.error(
-      "[Odoo create lead] respuesta sin result numérico:",
-      data
+  // La respuesta también se guarda: un reintento por fallo de Odoo no repite la llamada IA
+  if (!item.reply) {
+    item.reply = await buildReply(
+      item.analysis,
+      { ...body, text: aiText },
+      { client: item.meta.client, trace }
     );
-    throw new Error("Odoo no devolvió un ID numérico de lead");
+    outbox.update(item);
   }
 
-  return data.result;
+  const lead = await upsertOdooLead(item.analysis, leadBody, {
+    reply: item.reply,
+    trace,
+    ref: `outbox:${item.id}`,
+  });
+
+  // El mensaje entra en la conversación solo cuando ya está en Odoo (un reintento no lo duplica)
+  conversations.append(contactKeys, {
+    canal: body.canal || body.channel || "",
+    origen: body.origen || body.source || "",
+    texto: aiText,
+    analisis: {
+      intencion: item.analysis.intencion,
+      urgencia: item.analysis.urgencia,
+      resumen: item.analysis.resumen,
+    },
+    lead_id: lead.id,
+  });
+  return { lead, analysis: item.analysis };
+}
+
+// Claves del contacto para su conversación: email y teléfono normalizados
+function conversationKeys(body) {
+  const email = normalizeEmail(body.email || body.email_from);
+  const phoneKey = normalizePhone(body.phone || body.telefono);
+  return [email ? `email:${email}` : "", phoneKey ? `tel:${phoneKey}` : ""].filter(Boolean);
+}
+
+/* =====================================================================
+ *  LLAMADAS LARGAS (resumen jerárquico de la transcripción)
+ * ===================================================================== */
+
+function isLongCall(body) {
+  const canal = String(body.canal || body.channel || "").toLowerCase();
+  return canal === "llamada" && String(getOriginalText(body)).length > TRANSCRIPT_CHUNK_CHARS;
+}
+
+// Transcripción → { resumen, momentos, fragmentos, niveles }. Los turnos se redactan
+// (PII) antes de trocear y el resumen se restaura al final, igual que en analyzeMessage.
+async function summarizeCall(body, ctx) {
+  const redactor = piiRedactorFor(body);
+  const turns = redactor.redact(parseTranscript(getOriginalText(body)));
+  const summary = await summarizeTranscript(turns, {
+    chunkChars: TRANSCRIPT_CHUNK_CHARS,
+    summarize: (system, user) => callAIJSON(system, user, { ...ctx, purpose: "resumen_llamada" }),
+  });
+  logger.info("Llamada larga resumida por fragmentos", {
+    caracteres: String(getOriginalText(body)).length,
+    fragmentos: summary.fragmentos,
+    niveles: summary.niveles,
+    momentos: summary.momentos.length,
+  });
+  return redactor.restore(summary);
+}
+
+// Texto que se clasifica en lugar de la transcripción completa
+function describeCallSummary(summary) {
+  return [
+    `Resumen de una llamada telefónica larga (${summary.fragmentos} fragmentos de transcripción; "agente" es nuestro equipo de ventas):`,
+    summary.resumen,
+    formatKeyMoments(summary.momentos),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Los momentos clave van a la descripción del lead (y a la nota si se actualiza)
+function withKeyMoments(body, summary) {
+  const moments = formatKeyMoments(summary.momentos);
+  if (!moments) return body;
+  return {
+    ...body,
+    descripcion_extra: [body.descripcion_extra, moments].filter(Boolean).join("\n\n"),
+  };
+}
+
+// Los jobs del outbox (también los reintentos en segundo plano) se loguean con el
+// request_id de la petición que los originó
+function withJobContext(handler) {
+  return (item) =>
+    logger.withContext(
+      { request_id: item.meta.request_id, outbox_id: item.id, client: item.meta.client },
+      () => handler(item)
+    );
+}
+
+outbox.register("lead", withJobContext(runLeadJob));
+outbox.register("meta_lead", withJobContext(runMetaLeadJob));
+outbox.register("zadarma_missed", withJobContext(runMissedCallJob));
+outbox.register("zadarma_record", withJobContext(runRecordingJob));
+
+// Respuesta cuando el mensaje queda en el outbox (pendiente de reintento o dead-letter)
+function buildQueuedResponse(run) {
+  const pending = run.item.status === "pending";
+  return {
+    ok: pending,
+    service: SERVICE_NAME,
+    queued: pending,
+    outbox_id: run.item.id,
+    status: pending ? "pendiente" : run.item.status,
+    next_attempt_at: run.item.next_attempt_at,
+    message: pending
+      ? "Mensaje guardado; se reintentará automáticamente."
+      : run.error.message,
+  };
 }
 
 /* =====================================================================
  *  ENDPOINT IA + CREACIÓN LEAD
  * ===================================================================== */
 
-app.post("/lead/analyze-and-create", async (req, res) => {
+app.post("/lead/analyze-and-create", requireApiKey("lead:create"), limitByClient, selectPrompt, async (req, res) => {
   const body = req.body || {};
   const text =
     body.text || body.mensaje || body.message || body.content || "";
@@ -789,79 +1960,794 @@ app.post("/lead/analyze-and-create", async (req, res) => {
     });
   }
 
-  const meta = {
-    origen: body.origen || body.source,
-    canal: body.canal || body.channel,
-    nombre: body.nombre || body.name,
-    email: body.email,
-  };
-
-  const systemPrompt = buildSystemPrompt();
-  const userPrompt = buildUserPrompt(String(text), meta);
-
-  try {
-    const parsed = await callGeminiJSON(systemPrompt, userPrompt);
-    const normalized = normalizeAIResult(parsed);
+  // Primero se guarda en el outbox: si IA u Odoo fallan, no se pierde
+  const item = outbox.enqueue("lead", body, {
+    route: "/lead/analyze-and-create",
+    request_id: req.id,
+    client: req.clientId,
+    prompt_version: req.prompt.version,
+  });
+  const run = await outbox.processItem(item.id);
+
+  if (!run.ok) {
+    logger.error("Error creando lead", { outbox_id: item.id, err: run.error });
+    return res
+      .status(run.item.status === "dead" ? 500 : 202)
+      .json({
+        ...buildQueuedResponse(run),
+        error: "odoo_or_ai_error",
+      });
+  }
 
-    const leadId = await createOdooLead(normalized, body);
+  const { lead, analysis: normalized } = run.result;
 
-    return res.json({
-      ok: true,
-      service: SERVICE_NAME,
-      demo: false,
-      lead_id: leadId,
-      ai: {
-        status: "ok",
-        resumen: normalized.resumen,
-        respuesta: normalized.raw,
-        motivo: null,
-        intencion: normalized.intencion,
-        idioma: normalized.idioma,
-        pais: normalized.pais,
-        urgencia: normalized.urgencia,
-        pregunta: normalized.pregunta,
-        datos_detectados: normalized.datos_detectados,
-      },
-    });
-  } catch (err) {
-    console.error("[/lead/analyze-and-create] Error:", err.message);
-    return res.status(500).json({
-      ok: false,
-      service: SERVICE_NAME,
-      error: "odoo_or_ai_error",
-      message: err.message,
-    });
-  }
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    demo: false,
+    lead_id: lead.id,
+    lead_action: lead.action,
+    ai: buildAIResponse(normalized),
+  });
 });
 
 /* =====================================================================
- *  WEBHOOK ZADARMA — TRANSCRIPCIÓN DE LLAMADAS
+ *  ANÁLISIS POR LOTES (JSON o CSV)
  * ===================================================================== */
 
-app.post("/webhooks/zadarma/call", async (req, res) => {
-  const body = req.body || {};
-
-  const transcript =
-    body.transcript ||
-    body.text ||
-    body.mensaje ||
-    body.message ||
-    "";
-
-  if (!transcript || !String(transcript).trim()) {
-    return res.status(400).json({
-      ok: false,
-      service: SERVICE_NAME,
-      source: "zadarma",
-      error: "missing_transcript",
-      message:
-        "Debes enviar un campo 'transcript' (o 'text'/'mensaje') con la transcripción de la llamada.",
-    });
+// Campos que puede traer cada fila (y nombres de columna que se aceptan sin mapping)
+const BATCH_FIELDS = {
+  text: ["text", "texto", "mensaje", "message", "content", "comentarios"],
+  nombre: ["nombre", "name", "contact_name"],
+  email: ["email", "correo", "email_from"],
+  phone: ["phone", "telefono", "teléfono", "movil"],
+  origen: ["origen", "source"],
+  canal: ["canal", "channel"],
+  empresa: ["empresa", "company"],
+};
+
+const BATCH_REPORT_COLUMNS = [
+  "fila",
+  "status",
+  "texto",
+  "intencion",
+  "idioma",
+  "pais",
+  "urgencia",
+  "puntuacion",
+  "resumen",
+  "pregunta",
+  "lead_id",
+  "lead_action",
+  "error",
+];
+
+// Fila de entrada → body de lead. mapping = { campo: "Columna del CSV" }
+function mapBatchRow(row, mapping) {
+  const body = {};
+  const lowerRow = {};
+  for (const [k, v] of Object.entries(row || {})) {
+    lowerRow[String(k).trim().toLowerCase()] = v;
+  }
+
+  for (const [field, aliases] of Object.entries(BATCH_FIELDS)) {
+    const column = mapping && mapping[field];
+    const value = column
+      ? row[column]
+      : aliases.map((a) => lowerRow[a]).find((v) => v !== undefined && v !== "");
+    if (value !== undefined && value !== null && String(value).trim()) {
+      body[field] = String(value).trim();
+    }
+  }
+
+  return body;
+}
+
+// Procesa una fila: análisis IA y, si se pide, alta/actualización del lead
+// (prompt: versión elegida para el lote; ids: { batch_id, fila } para la auditoría)
+async function processBatchRow(body, { createLeads, client, quota, prompt, ids }) {
+  const text = getOriginalText(body);
+  const base = { texto: String(text).slice(0, 200) };
+
+  if (!String(text).trim()) {
+    return { ...base, status: "sin_texto", error: "Fila sin texto" };
+  }
+
+  if (quota && aiUsage.callsToday(client) >= quota) {
+    return { ...base, status: "cuota_agotada", error: "Cuota diaria de IA agotada" };
+  }
+
+  const trace = { ai_calls: [] };
+  const auditFields = {
+    route: "/lead/analyze-batch",
+    client,
+    ...ids,
+    input: body,
+    prompt,
+    trace,
+  };
+
+  let analysis;
+  try {
+    const meta = {
+      origen: body.origen,
+      canal: body.canal,
+      nombre: body.nombre,
+      email: body.email,
+    };
+    analysis = await analyzeMessage(String(text), meta, { prompt, client, trace });
+  } catch (err) {
+    auditAnalysis({ ...auditFields, error: err });
+    return {
+      ...base,
+      status: err.message === "error_parseo_json" ? "error_parseo" : "error_ia",
+      error: err.message,
+    };
+  }
+
+  const result = {
+    ...base,
+    status: "ok",
+    intencion: analysis.intencion,
+    idioma: analysis.idioma,
+    pais: analysis.pais,
+    urgencia: analysis.urgencia,
+    puntuacion: scoreLead(analysis, LEAD_SCORING).score,
+    resumen: analysis.resumen,
+    pregunta: analysis.pregunta,
+  };
+
+  if (createLeads) {
+    let reply;
+    try {
+      reply = await buildReply(analysis, body, { client, trace });
+      const lead = await upsertOdooLead(analysis, body, { reply, trace });
+      result.lead_id = lead.id;
+      result.lead_action = lead.action;
+      auditAnalysis({ ...auditFields, analysis, reply, lead });
+    } catch (err) {
+      auditAnalysis({ ...auditFields, analysis, reply, error: err });
+      return { ...result, status: "error_odoo", error: err.message };
+    }
+  } else {
+    auditAnalysis({ ...auditFields, analysis });
+  }
+
+  return result;
+}
+
+function parseBool(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+function parseMapping(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch (_e) {
+    throw new Error("'mapping' debe ser un objeto JSON, ej. {\"text\":\"Mensaje\"}");
+  }
+}
+
+// Lee filas y opciones de la petición: JSON (array u objeto), text/csv o multipart con fichero
+async function readBatchInput(req) {
+  const type = (req.get("content-type") || "").toLowerCase();
+
+  if (type.startsWith("multipart/form-data")) {
+    const { fields, files } = await readMultipart(req, {
+      limitBytes: BATCH_MAX_BYTES,
+      keepFiles: true,
+    });
+    const file = files.file || Object.values(files)[0];
+    if (!file) throw new Error("Falta el fichero CSV (campo 'file')");
+    return {
+      rows: parseCsv(decodeCsvBuffer(file.data), { delimiter: fields.delimiter }).rows,
+      mapping: parseMapping(fields.mapping),
+      createLeads: parseBool(fields.create_leads),
+    };
+  }
+
+  if (Buffer.isBuffer(req.body) || typeof req.body === "string") {
+    return {
+      rows: parseCsv(decodeCsvBuffer(req.body), { delimiter: req.query.delimiter }).rows,
+      mapping: parseMapping(req.query.mapping),
+      createLeads: parseBool(req.query.create_leads),
+    };
+  }
+
+  const body = req.body || {};
+  if (Array.isArray(body)) {
+    return {
+      rows: body,
+      mapping: parseMapping(req.query.mapping),
+      createLeads: parseBool(req.query.create_leads),
+    };
+  }
+
+  return {
+    rows: Array.isArray(body.rows) ? body.rows : [],
+    mapping: parseMapping(body.mapping),
+    createLeads: parseBool(body.create_leads),
+  };
+}
+
+function batchSummary(job) {
+  return {
+    batch_id: job.id,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    counts: job.counts,
+    create_leads: Boolean(job.meta && job.meta.create_leads),
+    prompt_version: (job.meta && job.meta.prompt_version) || null,
+    created_at: job.created_at,
+    finished_at: job.finished_at,
+    report_url: `/lead/analyze-batch/${job.id}`,
+    report_csv_url: `/lead/analyze-batch/${job.id}/report.csv`,
+  };
+}
+
+function sendBatchCsv(res, job) {
+  res.header("Content-Type", "text/csv; charset=utf-8");
+  res.header(
+    "Content-Disposition",
+    `attachment; filename="lote-${job.id}.csv"`
+  );
+  // BOM para que Excel abra bien los acentos
+  return res.send(
+    "\uFEFF" + toCsv(batches.results(job.id), BATCH_REPORT_COLUMNS)
+  );
+}
+
+app.post(
+  "/lead/analyze-batch",
+  requireApiKey("lead:batch"),
+  limitByClient,
+  keepLogContext(express.raw({ type: ["text/csv", "application/csv"], limit: BATCH_MAX_BYTES })),
+  selectPrompt,
+  async (req, res) => {
+    let input;
+    try {
+      input = await readBatchInput(req);
+    } catch (err) {
+      const tooLarge = err.status === 413;
+      return res.status(tooLarge ? 413 : 400).json({
+        ok: false,
+        service: SERVICE_NAME,
+        error: tooLarge ? "payload_too_large" : "invalid_batch",
+        message: err.message,
+      });
+    }
+
+    if (!input.rows.length || input.rows.length > BATCH_MAX_ROWS) {
+      return res.status(400).json({
+        ok: false,
+        service: SERVICE_NAME,
+        error: "invalid_batch",
+        message: `El lote debe tener entre 1 y ${BATCH_MAX_ROWS} filas (recibidas ${input.rows.length}).`,
+      });
+    }
+
+    // Crear leads exige además el scope de creación
+    if (
+      input.createLeads &&
+      req.apiKey &&
+      !(req.apiKey.scopes || []).includes("lead:create")
+    ) {
+      logRejected(req, "scope_insuficiente_create_leads", req.apiKey.id);
+      return res.status(403).json({
+        ok: false,
+        service: SERVICE_NAME,
+        error: "forbidden",
+        message: "create_leads requiere el scope lead:create.",
+      });
+    }
+
+    const client = req.clientId;
+    const quota =
+      req.apiKey && req.apiKey.daily_ai_quota != null
+        ? req.apiKey.daily_ai_quota
+        : AI_DAILY_QUOTA;
+
+    const job = batches.start(
+      input.rows,
+      (row, index, job) =>
+        processBatchRow(mapBatchRow(row, input.mapping), {
+          createLeads: input.createLeads,
+          client,
+          quota,
+          prompt: req.prompt,
+          ids: { batch_id: job.id, fila: index + 1 },
+        }),
+      { client, create_leads: input.createLeads, prompt_version: req.prompt.version }
+    );
+
+    logger.info("Lote iniciado", {
+      batch_id: job.id,
+      filas: job.total,
+      create_leads: input.createLeads,
+    });
+
+    // ?wait=true: esperar al final (solo para lotes pequeños)
+    if (parseBool(req.query.wait)) {
+      await job.done;
+      if (req.query.format === "csv") return sendBatchCsv(res, job);
+      return res.json({
+        ok: true,
+        service: SERVICE_NAME,
+        ...batchSummary(job),
+        results: batches.results(job.id),
+      });
+    }
+
+    return res.status(202).json({
+      ok: true,
+      service: SERVICE_NAME,
+      ...batchSummary(job),
+    });
+  }
+);
+
+// Lote lanzado por el mismo cliente (con la autenticación desactivada, cualquiera)
+function findClientBatch(req, res) {
+  const job = batches.get(req.params.id);
+  if (!job || (API_AUTH_ENABLED && job.meta.client !== clientIdFor(req))) {
+    res.status(404).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "not_found",
+      message: `No existe el lote ${req.params.id}.`,
+    });
+    return null;
+  }
+  return job;
+}
+
+app.get("/lead/analyze-batch/:id", requireApiKey("lead:batch"), (req, res) => {
+  const job = findClientBatch(req, res);
+  if (!job) return undefined;
+  if (req.query.format === "csv") return sendBatchCsv(res, job);
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    ...batchSummary(job),
+    results: batches.results(job.id),
+  });
+});
+
+app.get("/lead/analyze-batch/:id/report.csv", requireApiKey("lead:batch"), (req, res) => {
+  const job = findClientBatch(req, res);
+  if (!job) return undefined;
+  return sendBatchCsv(res, job);
+});
+
+/* =====================================================================
+ *  REPROCESO DE LEADS EXISTENTES (con el prompt actual u otra versión)
+ * ===================================================================== */
+
+const REPROCESS_FIELDS = [
+  "id",
+  "name",
+  "description",
+  "contact_name",
+  "email_from",
+  "phone",
+  "priority",
+  "tag_ids",
+  "x_resumen_ia",
+  "x_respuesta_ia",
+];
+
+// { ids, domain, from, to } → dominio de crm.lead (from/to sobre create_date, YYYY-MM-DD)
+function buildReprocessDomain(input) {
+  const domain = [];
+
+  if (input.ids !== undefined) {
+    const ids = [].concat(input.ids).map(Number);
+    if (!ids.length || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+      throw new Error("ids debe ser una lista de enteros positivos");
+    }
+    domain.push(["id", "in", ids]);
+  }
+
+  if (input.domain !== undefined) {
+    if (!Array.isArray(input.domain)) {
+      throw new Error("domain debe ser un dominio de Odoo (array)");
+    }
+    domain.push(...input.domain);
+  }
+
+  for (const [key, op, time] of [["from", ">=", "00:00:00"], ["to", "<=", "23:59:59"]]) {
+    if (!input[key]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(input[key])) {
+      throw new Error(`${key} debe tener formato YYYY-MM-DD`);
+    }
+    domain.push(["create_date", op, `${input[key]} ${time}`]);
+  }
+
+  if (!domain.length) {
+    throw new Error("Indica ids, domain o un rango from/to (no se reprocesa todo el CRM)");
+  }
+  return domain;
+}
+
+// Reanaliza un lead con la versión de prompt elegida. En dry run solo devuelve el diff (sin traza
+// de auditoría: no se ha cambiado nada en Odoo).
+async function reprocessLead(lead, { dryRun, prompt, ids }) {
+  const base = { lead_id: lead.id, nombre: lead.name };
+  const parsed = parseLeadDescription(lead.description);
+  if (!parsed.text) {
+    return { ...base, status: "sin_texto", error: "El lead no tiene descripción" };
+  }
+
+  const body = {
+    text: parsed.text,
+    origen: parsed.origen,
+    canal: parsed.canal,
+    asunto: parsed.asunto,
+    nombre: lead.contact_name || "",
+    email: lead.email_from || "",
+    phone: lead.phone || "",
+  };
+  const trace = { ai_calls: [] };
+  const auditFields = { route: "/admin/leads/reprocess", ...ids, input: body, prompt, trace };
+
+  let analysis;
+  let reply;
+  try {
+    analysis = await analyzeMessage(parsed.text, body, { prompt, client: "admin", trace });
+    reply = await buildReply(analysis, body, { client: "admin", trace });
+  } catch (err) {
+    if (!dryRun) auditAnalysis({ ...auditFields, error: err });
+    return { ...base, status: "error_ia", error: err.message };
+  }
+
+  try {
+    const currentTags = lead.tag_ids.length
+      ? await odoo.read("crm.tag", lead.tag_ids, ["name"])
+      : [];
+    const tags = explainTags(analysis, body);
+    const tagDiff = diffTags(
+      currentTags.map((t) => t.name),
+      tags.map((t) => t.tag),
+      ruleTagNames(TAG_RULES)
+    );
+
+    const cambios = diffFields(lead, {
+      x_resumen_ia: mergeSummaries(lead.x_resumen_ia, analysis.resumen, {
+        fecha: new Date().toISOString().slice(0, 10),
+        canal: `reproceso ${prompt.version}`,
+        max: LEAD_SUMMARY_HISTORY,
+      }),
+      x_respuesta_ia: reply.texto,
+      priority: priorityFromUrgency(analysis.urgencia),
+    });
+    if (tagDiff.añadir.length || tagDiff.quitar.length) cambios.tags = tagDiff;
+
+    const result = {
+      ...base,
+      status: Object.keys(cambios).length ? "cambios" : "sin_cambios",
+      intencion: analysis.intencion,
+      urgencia: analysis.urgencia,
+      cambios,
+    };
+    if (dryRun || result.status === "sin_cambios") return result;
+
+    const vals = {};
+    for (const field of ["x_resumen_ia", "x_respuesta_ia", "priority"]) {
+      if (cambios[field]) vals[field] = cambios[field].despues;
+    }
+    if (cambios.tags) {
+      const kept = currentTags.filter((t) => !tagDiff.quitar.includes(t.name)).map((t) => t.id);
+      const added = await getTagIdsByNames(tagDiff.añadir);
+      // Many2many: sustituir por las que se conservan + las nuevas
+      vals.tag_ids = [[6, 0, Array.from(new Set([...kept, ...added]))]];
+    }
+
+    trace.tags = tags;
+    trace.odoo = { model: "crm.lead", method: "write", ids: [lead.id], vals };
+    await odoo.write("crm.lead", [lead.id], vals);
+    auditAnalysis({
+      ...auditFields,
+      analysis,
+      reply,
+      lead: { id: lead.id, action: "reprocessed" },
+    });
+    return { ...result, status: "actualizado" };
+  } catch (err) {
+    if (!dryRun) auditAnalysis({ ...auditFields, analysis, reply, error: err });
+    return { ...base, status: "error_odoo", error: err.message };
+  }
+}
+
+function reprocessSummary(job) {
+  return {
+    reprocess_id: job.id,
+    status: job.status,
+    dry_run: job.meta.dry_run,
+    prompt_version: job.meta.prompt_version,
+    total: job.total,
+    processed: job.processed,
+    counts: job.counts,
+    created_at: job.created_at,
+    finished_at: job.finished_at,
+    report_url: `/admin/leads/reprocess/${job.id}`,
+  };
+}
+
+// Body: { ids | domain | from, to, limit, dry_run (por defecto true), prompt_version }.
+// ?wait=true espera al final.
+app.post("/admin/leads/reprocess", requireAdmin, selectPrompt, async (req, res) => {
+  const input = req.body || {};
+  // Solo se escribe en Odoo si se pide explícitamente dry_run=false
+  const dryRun = !(input.dry_run === false || input.dry_run === "false");
+  const limit = Math.min(Number(input.limit) || REPROCESS_MAX_LEADS, REPROCESS_MAX_LEADS);
+
+  let domain;
+  try {
+    domain = buildReprocessDomain(input);
+  } catch (err) {
+    return res.status(400).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "invalid_request",
+      message: err.message,
+    });
+  }
+
+  let leads;
+  try {
+    leads = await odoo.searchRead("crm.lead", domain, {
+      fields: REPROCESS_FIELDS,
+      limit,
+      order: "id asc",
+    });
+  } catch (err) {
+    logger.error("Reproceso: error leyendo leads de Odoo", { err });
+    return res.status(502).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "odoo_error",
+      message: err.message,
+    });
+  }
+
+  const job = reprocessJobs.start(
+    leads,
+    (lead, index, job) =>
+      reprocessLead(lead, {
+        dryRun,
+        prompt: req.prompt,
+        ids: { batch_id: job.id, fila: index + 1 },
+      }),
+    { dry_run: dryRun, domain, prompt_version: req.prompt.version }
+  );
+
+  logger.info("Reproceso de leads iniciado", {
+    reprocess_id: job.id,
+    leads: job.total,
+    dry_run: dryRun,
+  });
+
+  if (parseBool(req.query.wait)) {
+    await job.done;
+    return res.json({
+      ok: true,
+      service: SERVICE_NAME,
+      ...reprocessSummary(job),
+      results: reprocessJobs.results(job.id),
+    });
+  }
+
+  return res.status(202).json({ ok: true, service: SERVICE_NAME, ...reprocessSummary(job) });
+});
+
+app.get("/admin/leads/reprocess/:id", requireAdmin, (req, res) => {
+  const job = reprocessJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "not_found",
+      message: `No existe el reproceso ${req.params.id}.`,
+    });
+  }
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    ...reprocessSummary(job),
+    results: reprocessJobs.results(job.id),
+  });
+});
+
+/* =====================================================================
+ *  WEBHOOK ZADARMA — TRANSCRIPCIÓN DE LLAMADAS Y EVENTOS DE LA CENTRALITA
+ * ===================================================================== */
+
+// Líneas de la descripción del lead con los datos de la llamada
+function describeZadarmaCall(call) {
+  return [
+    `Llamada Zadarma (${call.direccion || "entrante"}):`,
+    call.pbx_call_id ? `- pbx_call_id: ${call.pbx_call_id}` : "",
+    call.inicio ? `- Inicio: ${call.inicio}` : "",
+    call.numero_llamado ? `- Número llamado: ${call.numero_llamado}` : "",
+    call.extension ? `- Extensión: ${call.extension}` : "",
+    call.duracion !== undefined ? `- Duración: ${call.duracion} s` : "",
+    call.resultado ? `- Resultado: ${call.resultado}` : "",
+  ].filter(Boolean).join("\n");
+}
+
+// Llamada perdida: actividad "devolver llamada" en el lead abierto de ese número o,
+// si no hay, lead nuevo con la actividad. Lead y actividad se guardan en el item para
+// que un reintento no los duplique.
+async function runMissedCallJob(item) {
+  const call = item.payload;
+  const phoneKey = normalizePhone(call.telefono);
+
+  if (!item.lead) {
+    const partnerIds = await findPartnerIds("", phoneKey);
+    const existing = await findOpenLead("", phoneKey, partnerIds);
+    if (existing) {
+      item.lead = { id: existing.id, action: "updated", user_id: existing.user_id ? existing.user_id[0] : null };
+    } else {
+      const id = await odoo.create("crm.lead", {
+        name: `Llamada perdida de ${call.telefono}`,
+        contact_name: "Lead sin nombre",
+        partner_id: partnerIds[0] || undefined,
+        phone: call.telefono,
+        description: `Llamada entrante sin contestar: hay que devolver la llamada.\n\n${describeZadarmaCall(call)}\n\nOrigen: telefono\nCanal: llamada`,
+      });
+      item.lead = { id, action: "created", user_id: null };
+    }
+    outbox.update(item);
+  }
+
+  if (!item.activity_id) {
+    item.activity_id = await scheduleLeadActivity(item.lead.id, {
+      resumen: `Devolver llamada perdida (${call.telefono})`,
+      nota: describeZadarmaCall(call),
+      userId: item.lead.user_id,
+    });
+    outbox.update(item);
+  }
+
+  logger.info("Zadarma: llamada perdida registrada", {
+    lead_id: item.lead.id,
+    lead_action: item.lead.action,
+    activity_id: item.activity_id,
+  });
+  return { lead: { id: item.lead.id, action: item.lead.action }, activity_id: item.activity_id };
+}
+
+// Grabación lista: se descarga, se transcribe y el item pasa a ser un "lead" normal
+// (mismo flujo que una transcripción recibida, con resumen por fragmentos si es larga)
+async function runRecordingJob(item) {
+  const call = item.payload;
+  if (!stt) {
+    const err = new Error("No hay STT_PROVIDER configurado para transcribir la grabación");
+    err.permanent = true;
+    throw err;
+  }
+
+  const recording = await zadarma.fetchRecording(
+    { callIdWithRec: call.call_id_with_rec, pbxCallId: call.pbx_call_id },
+    {
+      apiKey: ZADARMA_API_KEY,
+      apiSecret: ZADARMA_API_SECRET,
+      baseUrl: ZADARMA_API_URL,
+      maxBytes: ZADARMA_RECORDING_MAX_BYTES,
+    }
+  );
+  const started = Date.now();
+  const result = await stt.transcribe(recording.audio, { filename: recording.filename });
+  // Si el motor separa hablantes, un turno por línea como en las transcripciones recibidas
+  const transcript = result.segments ? formatTurns(parseTranscript(result.segments)) : result.text;
+  logger.info("Zadarma: grabación transcrita", {
+    stt: stt.name,
+    bytes: recording.audio.length,
+    caracteres: transcript.length,
+    duration_ms: Date.now() - started,
+  });
+  if (!transcript.trim()) {
+    const err = new Error("La transcripción de la grabación está vacía");
+    err.permanent = true;
+    throw err;
+  }
+
+  item.kind = "lead";
+  item.payload = {
+    text: transcript,
+    origen: "telefono",
+    canal: "llamada",
+    phone: call.telefono,
+    zadarma: call,
+    descripcion_extra: describeZadarmaCall(call),
+  };
+  outbox.update(item);
+
+  return runLeadJob(item);
+}
+
+// Eventos nativos: se guarda el estado de la llamada y se contesta enseguida (Zadarma
+// espera respuesta rápida); llamadas perdidas y grabaciones se procesan en segundo plano
+function handleZadarmaEvent(req, res) {
+  const body = req.body;
+  const reply = (accion, extra = {}) =>
+    res.json({ ok: true, service: SERVICE_NAME, source: "zadarma", event: body.event, accion, ...extra });
+
+  if (!body.pbx_call_id) return reply("ignorada");
+
+  // Zadarma repite la notificación si no contestamos a tiempo: cada evento, una vez
+  const previous = zadarmaCalls.get(body.pbx_call_id);
+  if (previous && previous.eventos.includes(body.event)) return reply("duplicada");
+  const call = zadarmaCalls.remember(body.pbx_call_id, body.event, zadarma.describeCallEvent(body));
+  const { eventos: _eventos, updated_at: _updatedAt, ...callData } = call;
+  const meta = { route: "/webhooks/zadarma/call", request_id: req.id, client: "zadarma" };
+
+  if (body.event === "NOTIFY_END" && zadarma.isMissedCall(call)) {
+    // Números ocultos: no hay a quién devolver la llamada
+    if (!ZADARMA_MISSED_CALLS || !normalizePhone(call.telefono)) return reply("registrada");
+    const item = outbox.enqueue("zadarma_missed", callData, meta);
+    processInBackground(item, "/webhooks/zadarma/call");
+    return reply("llamada_perdida", { outbox_id: item.id });
+  }
+
+  if (body.event === "NOTIFY_RECORD") {
+    if (!stt) {
+      logger.warn("Zadarma: grabación recibida sin STT_PROVIDER; no se transcribe", {
+        pbx_call_id: body.pbx_call_id,
+      });
+      return reply("grabacion_sin_stt");
+    }
+    const item = outbox.enqueue("zadarma_record", callData, meta);
+    processInBackground(item, "/webhooks/zadarma/call");
+    return reply("transcripcion", { outbox_id: item.id });
+  }
+
+  return reply("registrada");
+}
+
+// Verificación de la URL al darla de alta en Zadarma: GET ?zd_echo=xxx → "xxx"
+app.get("/webhooks/zadarma/call", (req, res) => {
+  if (!req.query.zd_echo) return res.sendStatus(400);
+  return res.type("text/plain").send(String(req.query.zd_echo));
+});
+
+app.post("/webhooks/zadarma/call", requireZadarmaSignature, async (req, res) => {
+  const body = req.body || {};
+
+  if (zadarma.CALL_EVENTS.includes(body.event)) {
+    return handleZadarmaEvent(req, res);
+  }
+
+  // La transcripción puede venir como texto ("Agente: …" / "Cliente: …") o como lista
+  // de segmentos { speaker, text }: en ambos casos se normaliza a un turno por línea
+  const rawTranscript =
+    body.transcript ||
+    body.text ||
+    body.mensaje ||
+    body.message ||
+    "";
+  const transcript = Array.isArray(rawTranscript)
+    ? formatTurns(parseTranscript(rawTranscript))
+    : String(rawTranscript);
+
+  if (!transcript.trim()) {
+    return res.status(400).json({
+      ok: false,
+      service: SERVICE_NAME,
+      source: "zadarma",
+      error: "missing_transcript",
+      message:
+        "Debes enviar un campo 'transcript' (o 'text'/'mensaje') con la transcripción de la llamada.",
+    });
   }
 
   // Enriquecemos con info típica de llamada
+  const { transcript: _transcript, ...rest } = body;
   const enrichedBody = {
-    ...body,
+    ...rest,
     text: transcript,
     origen: "telefono",
     canal: "llamada",
@@ -869,52 +2755,736 @@ app.post("/webhooks/zadarma/call", async (req, res) => {
     phone: body.caller_id || body.phone || body.telefono,
   };
 
-  const meta = {
-    origen: enrichedBody.origen,
-    canal: enrichedBody.canal,
-    nombre: enrichedBody.nombre,
-    email: enrichedBody.email,
+  const item = outbox.enqueue("lead", enrichedBody, {
+    route: "/webhooks/zadarma/call",
+    request_id: req.id,
+    client: "zadarma",
+  });
+  const run = await outbox.processItem(item.id);
+
+  if (!run.ok) {
+    logger.error("Error procesando llamada Zadarma", { outbox_id: item.id, err: run.error });
+    return res
+      .status(run.item.status === "dead" ? 500 : 202)
+      .json({
+        ...buildQueuedResponse(run),
+        source: "zadarma",
+        error: "zadarma_ai_or_odoo_error",
+      });
+  }
+
+  const { lead, analysis: normalized } = run.result;
+
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    source: "zadarma",
+    lead_id: lead.id,
+    lead_action: lead.action,
+    ai: buildAIResponse(normalized),
+  });
+});
+
+/* =====================================================================
+ *  WEBHOOK WHATSAPP (Cloud API de Meta)
+ * ===================================================================== */
+
+// Procesa el item del outbox sin esperar (los webhooks de Meta exigen un 200 rápido)
+function processInBackground(item, label) {
+  outbox.processItem(item.id).then((run) => {
+    if (run.ok) {
+      logger.info("Lead procesado desde el outbox", {
+        route: label,
+        lead_id: run.result.lead.id,
+        lead_action: run.result.lead.action,
+        outbox_id: item.id,
+      });
+    }
+  }).catch((err) => {
+    logger.error("Error procesando item del outbox", { route: label, outbox_id: item.id, err });
+  });
+}
+
+// Ids de mensajes ya recibidos: Meta reenvía el webhook si no contestamos a tiempo
+const seenWhatsAppMessages = new Set();
+
+function rememberWhatsAppMessage(id) {
+  if (seenWhatsAppMessages.has(id)) return false;
+  seenWhatsAppMessages.add(id);
+  if (seenWhatsAppMessages.size > 1000) {
+    // Set mantiene orden de inserción: borramos el más antiguo
+    seenWhatsAppMessages.delete(seenWhatsAppMessages.values().next().value);
+  }
+  return true;
+}
+
+// Extrae los mensajes de texto del payload (entry[].changes[].value.messages[])
+function parseWhatsAppMessages(payload) {
+  const out = [];
+
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      if (change.field && change.field !== "messages") continue;
+
+      const contacts = value.contacts || [];
+
+      for (const msg of value.messages || []) {
+        if (msg.type !== "text" || !msg.text || !msg.text.body) continue;
+
+        const contact =
+          contacts.find((c) => c.wa_id === msg.from) || contacts[0] || {};
+        const waId = msg.from || contact.wa_id || "";
+
+        out.push({
+          id: msg.id,
+          text: msg.text.body,
+          name: (contact.profile && contact.profile.name) || "",
+          phone: waId ? `+${waId}` : "",
+          wa_id: waId,
+          phone_number_id: value.metadata && value.metadata.phone_number_id,
+          timestamp: msg.timestamp,
+        });
+      }
+    }
+  }
+
+  return out;
+}
+
+// Verificación de la suscripción (challenge de Meta)
+app.get("/webhooks/whatsapp", (req, res) => {
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+  const challenge = req.query["hub.challenge"];
+
+  if (
+    mode === "subscribe" &&
+    WHATSAPP_VERIFY_TOKEN &&
+    safeEqual(token, WHATSAPP_VERIFY_TOKEN)
+  ) {
+    return res.status(200).send(String(challenge || ""));
+  }
+
+  logRejected(req, "whatsapp_verify_token_invalido");
+  return res.sendStatus(403);
+});
+
+app.post("/webhooks/whatsapp", (req, res) => {
+  if (
+    WHATSAPP_VERIFY_SIGNATURE &&
+    !verifyMetaSignature(
+      req.rawBody,
+      req.get("x-hub-signature-256"),
+      WHATSAPP_APP_SECRET
+    )
+  ) {
+    logRejected(
+      req,
+      WHATSAPP_APP_SECRET ? "firma_whatsapp_invalida" : "falta_WHATSAPP_APP_SECRET"
+    );
+    return res.status(401).json({
+      ok: false,
+      service: SERVICE_NAME,
+      source: "whatsapp",
+      error: "invalid_signature",
+      message: "Firma X-Hub-Signature-256 inválida o ausente.",
+    });
+  }
+
+  const messages = parseWhatsAppMessages(req.body || {});
+  const queued = [];
+
+  for (const msg of messages) {
+    if (!rememberWhatsAppMessage(msg.id)) continue;
+
+    // Igual que el webhook de Zadarma: enriquecemos con origen/canal fijos
+    const enrichedBody = {
+      text: msg.text,
+      origen: "whatsapp",
+      canal: "whatsapp",
+      nombre: msg.name,
+      phone: msg.phone,
+      whatsapp_message_id: msg.id,
+      whatsapp_wa_id: msg.wa_id,
+    };
+
+    const item = outbox.enqueue("lead", enrichedBody, {
+      route: "/webhooks/whatsapp",
+      request_id: req.id,
+      client: "whatsapp",
+    });
+    queued.push(item.id);
+    processInBackground(item, "/webhooks/whatsapp");
+  }
+
+  // Estados de entrega, mensajes no-texto… se aceptan sin hacer nada
+  return res.status(200).json({
+    ok: true,
+    service: SERVICE_NAME,
+    source: "whatsapp",
+    received: messages.length,
+    queued,
+  });
+});
+
+/* =====================================================================
+ *  WEBHOOK META LEAD ADS (Facebook / Instagram, eventos leadgen)
+ * ===================================================================== */
+
+// Item "meta_lead": pide el lead a la Graph API y lo convierte en un item "lead"
+// normal (a partir de ahí los reintentos ya no vuelven a llamar a Meta).
+async function runMetaLeadJob(item) {
+  const event = item.payload;
+  const details = await metaLeads.fetchLeadDetails(event.leadgen_id, {
+    accessToken: META_PAGE_ACCESS_TOKEN,
+    graphVersion: META_GRAPH_VERSION,
+  });
+  const fields = metaLeads.mapLeadFields(details.field_data);
+  const isInstagram = String(details.platform || "").toLowerCase() === "ig";
+
+  const ids = {
+    leadgen_id: event.leadgen_id,
+    page_id: event.page_id,
+    form_id: details.form_id || event.form_id,
+    ad_id: details.ad_id || event.ad_id,
+    adset_id: details.adset_id || event.adgroup_id,
+    campaign_id: details.campaign_id,
   };
 
-  const systemPrompt = buildSystemPrompt();
-  const userPrompt = buildUserPrompt(String(transcript), meta);
+  const descripcion = [
+    `Meta Lead Ads (${isInstagram ? "Instagram" : "Facebook"}):`,
+    ...Object.entries(ids)
+      .filter(([, v]) => v)
+      .map(([k, v]) => `- ${k}: ${v}`),
+    details.campaign_name ? `- campaign_name: ${details.campaign_name}` : "",
+    details.ad_name ? `- ad_name: ${details.ad_name}` : "",
+  ].filter(Boolean).join("\n");
+
+  item.kind = "lead";
+  item.payload = {
+    text: fields.text || `Lead de formulario de ${isInstagram ? "Instagram" : "Facebook"} sin comentarios.`,
+    origen: "red_social",
+    canal: isInstagram ? "instagram" : "facebook",
+    nombre: fields.nombre,
+    email: fields.email,
+    phone: fields.phone,
+    empresa: fields.empresa,
+    meta_lead: ids,
+    descripcion_extra: descripcion,
+    utm: {
+      campaign: details.campaign_name || "",
+      source: isInstagram ? "Instagram" : "Facebook",
+      medium: "Lead Ads",
+    },
+  };
+  outbox.update(item);
 
-  try {
-    const parsed = await callGeminiJSON(systemPrompt, userPrompt);
-    const normalized = normalizeAIResult(parsed);
+  return runLeadJob(item);
+}
 
-    const leadId = await createOdooLead(normalized, enrichedBody);
+app.get("/webhooks/meta/leadgen", (req, res) => {
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+  const challenge = req.query["hub.challenge"];
 
-    return res.json({
+  if (
+    mode === "subscribe" &&
+    META_LEADS_VERIFY_TOKEN &&
+    safeEqual(token, META_LEADS_VERIFY_TOKEN)
+  ) {
+    return res.status(200).send(String(challenge || ""));
+  }
+
+  logRejected(req, "meta_verify_token_invalido");
+  return res.sendStatus(403);
+});
+
+app.post("/webhooks/meta/leadgen", (req, res) => {
+  if (
+    META_VERIFY_SIGNATURE &&
+    !verifyMetaSignature(
+      req.rawBody,
+      req.get("x-hub-signature-256"),
+      META_APP_SECRET
+    )
+  ) {
+    logRejected(
+      req,
+      META_APP_SECRET ? "firma_meta_invalida" : "falta_META_APP_SECRET"
+    );
+    return res.status(401).json({
+      ok: false,
+      service: SERVICE_NAME,
+      source: "meta_leadgen",
+      error: "invalid_signature",
+      message: "Firma X-Hub-Signature-256 inválida o ausente.",
+    });
+  }
+
+  const events = metaLeads.parseLeadgenEvents(req.body || {});
+  const queued = [];
+
+  for (const event of events) {
+    const item = outbox.enqueue("meta_lead", event, {
+      route: "/webhooks/meta/leadgen",
+      request_id: req.id,
+      client: "meta_leadgen",
+    });
+    queued.push(item.id);
+    processInBackground(item, "/webhooks/meta/leadgen");
+  }
+
+  return res.status(200).json({
+    ok: true,
+    service: SERVICE_NAME,
+    source: "meta_leadgen",
+    received: events.length,
+    queued,
+  });
+});
+
+/* =====================================================================
+ *  WEBHOOK EMAIL (correo entrante: MIME crudo o JSON/form de inbound)
+ * ===================================================================== */
+
+function requireEmailToken(req, res, next) {
+  const token = req.get("x-webhook-token") || req.query.token || "";
+  if (EMAIL_WEBHOOK_TOKEN && safeEqual(token, EMAIL_WEBHOOK_TOKEN)) {
+    return next();
+  }
+
+  logRejected(
+    req,
+    EMAIL_WEBHOOK_TOKEN ? "email_token_invalido" : "falta_EMAIL_WEBHOOK_TOKEN"
+  );
+  return res.status(401).json({
+    ok: false,
+    service: SERVICE_NAME,
+    source: "email",
+    error: "unauthorized",
+    message: "Token del webhook de email inválido o ausente.",
+  });
+}
+
+app.post(
+  "/webhooks/email",
+  requireEmailToken,
+  keepLogContext(express.raw({ type: ["message/rfc822", "text/plain"], limit: EMAIL_MAX_BYTES })),
+  async (req, res) => {
+    let mail;
+    try {
+      mail = await parseInboundEmail(req, { limitBytes: EMAIL_MAX_BYTES });
+    } catch (err) {
+      logger.error("Error parseando correo entrante", { err });
+      const tooLarge = err.status === 413;
+      return res.status(tooLarge ? 413 : 400).json({
+        ok: false,
+        service: SERVICE_NAME,
+        source: "email",
+        error: tooLarge ? "payload_too_large" : "invalid_email",
+        message: `No se pudo leer el correo: ${err.message}`,
+      });
+    }
+
+    const text = mail.text || mail.subject;
+    if (!text) {
+      return res.status(400).json({
+        ok: false,
+        service: SERVICE_NAME,
+        source: "email",
+        error: "missing_text",
+        message: "El correo no tiene cuerpo de texto ni asunto.",
+      });
+    }
+
+    const enrichedBody = {
+      text,
+      asunto: mail.subject,
+      origen: "email",
+      canal: "email",
+      nombre: mail.fromName,
+      email: mail.fromAddress,
+      email_message_id: mail.messageId,
+    };
+
+    const item = outbox.enqueue("lead", enrichedBody, {
+      route: "/webhooks/email",
+      request_id: req.id,
+      client: "email",
+    });
+    processInBackground(item, "/webhooks/email");
+
+    return res.status(200).json({
       ok: true,
       service: SERVICE_NAME,
-      source: "zadarma",
-      lead_id: leadId,
-      ai: {
-        status: "ok",
-        resumen: normalized.resumen,
-        respuesta: normalized.raw,
-        motivo: null,
-        intencion: normalized.intencion,
-        idioma: normalized.idioma,
-        pais: normalized.pais,
-        urgencia: normalized.urgencia,
-        pregunta: normalized.pregunta,
-        datos_detectados: normalized.datos_detectados,
-      },
+      source: "email",
+      format: mail.format,
+      from: mail.fromAddress,
+      subject: mail.subject,
+      outbox_id: item.id,
     });
+  }
+);
+
+/* =====================================================================
+ *  ADMIN — OUTBOX (cola de reintentos y dead-letter)
+ * ===================================================================== */
+
+function requireAdmin(req, res, next) {
+  const header = req.get("authorization") || "";
+  const token =
+    req.get("x-admin-token") ||
+    (header.startsWith("Bearer ") ? header.slice(7) : "");
+
+  const valid = ADMIN_TOKEN && safeEqual(token, ADMIN_TOKEN);
+
+  if (!valid) {
+    logRejected(req, ADMIN_TOKEN ? "admin_token_invalido" : "admin_deshabilitado");
+    return res.status(ADMIN_TOKEN ? 401 : 403).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "unauthorized",
+      message: ADMIN_TOKEN
+        ? "Token de administración inválido."
+        : "Endpoints de administración deshabilitados (falta ADMIN_TOKEN).",
+    });
+  }
+  next();
+}
+
+function outboxNotFound(res, id) {
+  return res.status(404).json({
+    ok: false,
+    service: SERVICE_NAME,
+    error: "not_found",
+    message: `No existe el item de outbox ${id} (o se está procesando).`,
+  });
+}
+
+app.get("/admin/outbox", requireAdmin, (req, res) => {
+  const items = outbox.list(req.query.status);
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    stats: outbox.stats(),
+    count: items.length,
+    items,
+  });
+});
+
+app.get("/admin/outbox/:id", requireAdmin, (req, res) => {
+  const item = outbox.get(req.params.id);
+  if (!item) return outboxNotFound(res, req.params.id);
+  return res.json({ ok: true, service: SERVICE_NAME, item });
+});
+
+// Reintenta ya (también items en dead-letter)
+app.post("/admin/outbox/:id/retry", requireAdmin, async (req, res) => {
+  const item = outbox.retry(req.params.id);
+  if (!item) return outboxNotFound(res, req.params.id);
+
+  const run = await outbox.processItem(item.id);
+  if (!run.ok) {
+    return res.status(502).json({
+      ...buildQueuedResponse(run),
+      ok: false,
+      error: "retry_failed",
+      message: run.error.message,
+    });
+  }
+
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    outbox_id: item.id,
+    lead_id: run.result.lead.id,
+    lead_action: run.result.lead.action,
+  });
+});
+
+app.delete("/admin/outbox/:id", requireAdmin, (req, res) => {
+  const item = outbox.discard(req.params.id);
+  if (!item) return outboxNotFound(res, req.params.id);
+  logger.info("Outbox: item descartado por admin", { outbox_id: item.id });
+  return res.json({ ok: true, service: SERVICE_NAME, discarded: item.id });
+});
+
+/* =====================================================================
+ *  AUDITORÍA (traza por lead)
+ * ===================================================================== */
+
+// Guarda la traza de un análisis. fields: route, input, prompt, analysis, reply, trace
+// ({ ai_calls, tags, odoo }), lead, error y los ids que apliquen (outbox_id, batch_id…)
+function auditAnalysis({ input, prompt, analysis, reply, trace, lead, error, ...ids }) {
+  if (!AUDIT_ENABLED) return;
+  const { request_id, client } = logger.context();
+  const { raw: _raw, ...normalized } = analysis || {};
+
+  audit.record({
+    request_id,
+    client,
+    ...ids,
+    status: error ? "error" : "ok",
+    prompt_version: prompt ? prompt.version : null,
+    prompt_hash: prompt ? prompt.hash : null,
+    input,
+    ai_calls: trace ? trace.ai_calls : [],
+    analysis: analysis ? normalized : null,
+    reply: reply || null,
+    tags: (trace && trace.tags) || [],
+    odoo: (trace && trace.odoo) || null,
+    actividad: (trace && trace.actividad) || null,
+    lead_id: lead ? lead.id : null,
+    lead_action: lead ? lead.action : null,
+    error: error ? error.message : undefined,
+  });
+}
+
+// Por qué el lead tiene esa intención y esos tags (última traza correcta)
+function explainTrace(entry) {
+  const analysis = entry.analysis || {};
+  return {
+    time: entry.time,
+    prompt_version: entry.prompt_version,
+    intencion: analysis.intencion,
+    urgencia: analysis.urgencia,
+    idioma: analysis.idioma,
+    pais: analysis.pais,
+    resumen: analysis.resumen,
+    campos_corregidos: (analysis.validacion && analysis.validacion.campos_corregidos) || [],
+    reparado: Boolean(analysis.validacion && analysis.validacion.reparado),
+    tags: entry.tags,
+    respuesta: entry.reply ? entry.reply.fuente : null,
+  };
+}
+
+app.get("/leads/:id/trace", requireAdmin, (req, res) => {
+  const leadId = Number(req.params.id);
+  if (!Number.isInteger(leadId) || leadId <= 0) {
+    return res.status(400).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "invalid_id",
+      message: "El id del lead debe ser un entero positivo.",
+    });
+  }
+
+  const entries = audit.query({ lead_id: leadId, limit: req.query.limit || 100 });
+  if (!entries.length) {
+    return res.status(404).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "not_found",
+      message: `No hay trazas del lead ${leadId} (o ya superaron la retención).`,
+    });
+  }
+
+  const latest = entries.find((e) => e.status === "ok");
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    lead_id: leadId,
+    explicacion: latest ? explainTrace(latest) : null,
+    count: entries.length,
+    entries,
+  });
+});
+
+// Filtros: from, to (YYYY-MM-DD), lead_id, client, route, status, intencion, canal,
+// prompt_version, q, limit
+const AUDIT_FILTERS = [
+  "from",
+  "to",
+  "lead_id",
+  "client",
+  "route",
+  "status",
+  "intencion",
+  "canal",
+  "prompt_version",
+  "q",
+  "limit",
+];
+
+app.get("/audit", requireAdmin, (req, res) => {
+  const filters = {};
+  for (const key of AUDIT_FILTERS) {
+    if (req.query[key]) filters[key] = String(req.query[key]);
+  }
+  for (const key of ["from", "to"]) {
+    if (filters[key] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) {
+      return res.status(400).json({
+        ok: false,
+        service: SERVICE_NAME,
+        error: "invalid_date",
+        message: `${key} debe tener formato YYYY-MM-DD.`,
+      });
+    }
+  }
+
+  const entries = audit.query(filters);
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    enabled: AUDIT_ENABLED,
+    filters,
+    count: entries.length,
+    entries,
+  });
+});
+
+/* =====================================================================
+ *  ADMIN — API KEYS
+ * ===================================================================== */
+
+app.get("/admin/api-keys", requireAdmin, (req, res) => {
+  return res.json({ ok: true, service: SERVICE_NAME, keys: apiKeys.list() });
+});
+
+// Crea una clave; la clave en claro solo se devuelve en esta respuesta
+app.post("/admin/api-keys", requireAdmin, (req, res) => {
+  const body = req.body || {};
+  try {
+    const created = apiKeys.create({
+      id: String(body.id || "").trim(),
+      scopes: body.scopes,
+      origins: body.origins,
+      hmac: Boolean(body.hmac),
+      rateLimitMax: body.rate_limit_max,
+      dailyAiQuota: body.daily_ai_quota,
+    });
+    logger.info("API key creada", { key: created.id });
+    return res.status(201).json({ ok: true, service: SERVICE_NAME, key: created });
   } catch (err) {
-    console.error("[/webhooks/zadarma/call] Error:", err.message);
-    return res.status(500).json({
+    return res.status(400).json({
       ok: false,
       service: SERVICE_NAME,
-      source: "zadarma",
-      error: "zadarma_ai_or_odoo_error",
+      error: "invalid_api_key",
       message: err.message,
     });
   }
 });
 
+app.post("/admin/api-keys/:id/revoke", requireAdmin, (req, res) => {
+  const key = apiKeys.revoke(req.params.id);
+  if (!key) {
+    return res.status(404).json({
+      ok: false,
+      service: SERVICE_NAME,
+      error: "not_found",
+      message: `No existe la API key ${req.params.id}.`,
+    });
+  }
+  logger.info("API key revocada", { key: key.id });
+  return res.json({ ok: true, service: SERVICE_NAME, key });
+});
+
+/* =====================================================================
+ *  ADMIN — PLANTILLAS DE RESPUESTA
+ * ===================================================================== */
+
+// Vista previa: ?idioma=fr&intencion=maquina&urgencia=alta&nombre=Ana&ubicacion=Lyon&pais=Francia
+// Sin idioma o sin intención se generan todas las combinaciones. ?format=text para leerlas de corrido.
+app.get("/admin/reply-templates/preview", requireAdmin, (req, res) => {
+  const q = req.query;
+  const idiomas = q.idioma ? [q.idioma] : Object.keys(REPLY_TEMPLATES.idiomas);
+  const intenciones = q.intencion ? [q.intencion] : INTENCIONES;
+
+  const previews = [];
+  for (const idioma of idiomas) {
+    for (const intencion of intenciones) {
+      const rendered = renderReply(REPLY_TEMPLATES, {
+        idioma,
+        intencion,
+        urgencia: q.urgencia || "media",
+        nombre: q.nombre !== undefined ? q.nombre : "Ana",
+        ubicacion: q.ubicacion || "",
+        pais: q.pais || "",
+        citaUrl: q.cita_url !== undefined ? q.cita_url : ODOO_APPOINTMENT_URL,
+      });
+      previews.push({
+        idioma_pedido: idioma,
+        intencion_pedida: intencion,
+        idioma: rendered.idioma,
+        plantilla: rendered.intencion,
+        texto: rendered.texto,
+      });
+    }
+  }
+
+  if (q.format === "text") {
+    res.header("Content-Type", "text/plain; charset=utf-8");
+    return res.send(
+      previews
+        .map((p) => `===== ${p.idioma} / ${p.intencion_pedida} =====\n${p.texto}\n`)
+        .join("\n")
+    );
+  }
+
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    file: REPLY_TEMPLATES_FILE,
+    count: previews.length,
+    previews,
+  });
+});
+
+/* =====================================================================
+ *  CONSUMO IA (llamadas / tokens)
+ * ===================================================================== */
+
+// Admin: consumo de todos los clientes (?client=key:web&from=2026-01-01&to=2026-01-31)
+app.get("/admin/usage", requireAdmin, (req, res) => {
+  const { client, from, to } = req.query;
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    ...aiUsage.query({ client, from, to }),
+  });
+});
+
+// Cliente con API key: su propio consumo y la cuota que le queda hoy
+app.get("/usage", requireApiKey(null), limitByIp, (req, res) => {
+  const client = clientIdFor(req);
+  const quota =
+    req.apiKey && req.apiKey.daily_ai_quota != null
+      ? req.apiKey.daily_ai_quota
+      : AI_DAILY_QUOTA;
+  const used = aiUsage.callsToday(client);
+
+  return res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    client,
+    quota_daily: quota || null,
+    used_today: used,
+    remaining_today: quota ? Math.max(quota - used, 0) : null,
+    ...aiUsage.query({ client, from: req.query.from, to: req.query.to }),
+  });
+});
+
+/* =====================================================================
+ *  MÉTRICAS (Prometheus)
+ * ===================================================================== */
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const header = req.get("authorization") || "";
+    if (!safeEqual(header.startsWith("Bearer ") ? header.slice(7) : "", METRICS_TOKEN)) {
+      return res.status(401).json({
+        ok: false,
+        service: SERVICE_NAME,
+        error: "unauthorized",
+        message: "Token de métricas inválido.",
+      });
+    }
+  }
+  res.header("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  return res.send(metrics.render());
+});
+
 /* =====================================================================
  *  ROOT
  * ===================================================================== */
@@ -927,10 +3497,28 @@ app.get("/", (req, res) => {
   });
 });
 
+// Errores de los parsers de Express (cuerpo demasiado grande, JSON mal formado) en el
+// mismo formato que el resto de respuestas
+// (Express reconoce el manejador de errores por sus 4 argumentos)
+app.use((err, req, res, _next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) logger.error("Error no controlado", { err });
+  let error = "invalid_request";
+  let message = err.message;
+  if (status === 413) {
+    error = "payload_too_large";
+    message = "Cuerpo de la petición demasiado grande.";
+  } else if (status >= 500) {
+    error = "internal_error";
+    message = "Error interno.";
+  }
+  return res.status(status).json({ ok: false, service: SERVICE_NAME, error, message });
+});
+
 // 🚀 Arranque
 const PORT = process.env.PORT || 3000;
+outbox.start();
+if (AUDIT_ENABLED) audit.start();
 app.listen(PORT, () => {
-  console.log(
-    `[${SERVICE_NAME}] v${VERSION} escuchando en puerto ${PORT}`
-  );
+  logger.info("Servicio escuchando", { service: SERVICE_NAME, version: VERSION, port: PORT });
 });
@@ -0,0 +1,369 @@
+// lib/ai-providers.js — proveedores LLM intercambiables (Gemini, OpenAI-compatible, Ollama, mock)
+//
+// Cada proveedor expone generate(systemPrompt, userPrompt) → { text, usage }, con el
+// texto crudo del modelo y los tokens consumidos. El parseo del JSON se hace fuera
+// (index.js), igual para todos.
+//
+// Selección por variables de entorno:
+//   AI_PROVIDER           gemini | openai | ollama | mock   (por defecto gemini)
+//   AI_FALLBACK_PROVIDER  proveedor secundario si el principal falla o hace timeout
+//   AI_TIMEOUT_MS         timeout por llamada (por defecto 30000)
+
+const logger = require("./logger");
+
+const AI_TIMEOUT_MS = Number(process.env.AI_TIMEOUT_MS) || 30000;
+
+// fetch con timeout; el AbortError se traduce a un mensaje claro
+async function fetchWithTimeout(providerName, url, options) {
+  try {
+    return await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(AI_TIMEOUT_MS),
+    });
+  } catch (err) {
+    if (err.name === "TimeoutError" || err.name === "AbortError") {
+      throw new Error(`Timeout IA (${providerName}) tras ${AI_TIMEOUT_MS}ms`);
+    }
+    throw err;
+  }
+}
+
+/* =====================================================================
+ *  GEMINI (Google AI Studio, v1beta generateContent)
+ * ===================================================================== */
+
+function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  // Modelo por defecto. Puedes sobreescribirlo con GEMINI_MODEL en Render si quieres.
+  const model = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+
+  return {
+    name: "gemini",
+    model,
+    async generate(systemPrompt, userPrompt) {
+      if (!apiKey) {
+        throw new Error("Falta la variable de entorno GEMINI_API_KEY");
+      }
+
+      const modelId = encodeURIComponent(model);
+
+      // Usamos la API v1beta porque es la que está aceptando este modelo en tu cuenta.
+      const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelId}:generateContent`;
+
+      // Combinamos system + user en un único texto para evitar campos no soportados
+      const fullPrompt = `${systemPrompt}\n\n---\n\n${userPrompt}`;
+
+      const body = {
+        contents: [
+          {
+            role: "user",
+            parts: [{ text: fullPrompt }],
+          },
+        ],
+      };
+
+      const resp = await fetchWithTimeout("gemini", url, {
+        method: "POST",
+        headers: {
+          "x-goog-api-key": apiKey,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!resp.ok) {
+        const errorText = await resp.text().catch(() => "");
+        throw new Error(`Error Gemini HTTP ${resp.status}: ${errorText}`);
+      }
+
+      const data = await resp.json();
+
+      // Unimos todos los textos de las parts
+      const text =
+        data?.candidates?.[0]?.content?.parts
+          ?.map((p) => p.text || "")
+          .join("")
+          .trim() || "";
+
+      return {
+        text,
+        usage: {
+          prompt_tokens: data?.usageMetadata?.promptTokenCount || 0,
+          completion_tokens: data?.usageMetadata?.candidatesTokenCount || 0,
+        },
+      };
+    },
+  };
+}
+
+/* =====================================================================
+ *  OPENAI-COMPATIBLE (/chat/completions): OpenAI, Ollama, llama.cpp…
+ * ===================================================================== */
+
+function createOpenAICompatibleProvider(name, { baseUrl, apiKey, model, jsonMode }) {
+  const url = `${String(baseUrl).replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name,
+    model,
+    async generate(systemPrompt, userPrompt) {
+      const body = {
+        model,
+        temperature: 0.2,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt },
+        ],
+      };
+      if (jsonMode) {
+        body.response_format = { type: "json_object" };
+      }
+
+      const headers = { "Content-Type": "application/json" };
+      // Los servidores locales (Ollama, llama.cpp) no necesitan clave
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const resp = await fetchWithTimeout(name, url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+      });
+
+      if (!resp.ok) {
+        const errorText = await resp.text().catch(() => "");
+        throw new Error(`Error ${name} HTTP ${resp.status}: ${errorText}`);
+      }
+
+      const data = await resp.json();
+      return {
+        text: String(data?.choices?.[0]?.message?.content || "").trim(),
+        usage: {
+          prompt_tokens: data?.usage?.prompt_tokens || 0,
+          completion_tokens: data?.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+function createOpenAIProvider() {
+  const baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
+  const apiKey = process.env.OPENAI_API_KEY || "";
+
+  // Con la API oficial la clave es obligatoria; con un OPENAI_BASE_URL propio no
+  if (!apiKey && !process.env.OPENAI_BASE_URL) {
+    throw new Error("Falta la variable de entorno OPENAI_API_KEY");
+  }
+
+  return createOpenAICompatibleProvider("openai", {
+    baseUrl,
+    apiKey,
+    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    jsonMode: process.env.OPENAI_JSON_MODE !== "false",
+  });
+}
+
+function createOllamaProvider() {
+  return createOpenAICompatibleProvider("ollama", {
+    baseUrl: process.env.OLLAMA_BASE_URL || "http://localhost:11434/v1",
+    apiKey: "",
+    model: process.env.OLLAMA_MODEL || "llama3.1",
+    jsonMode: process.env.OLLAMA_JSON_MODE !== "false",
+  });
+}
+
+/* =====================================================================
+ *  MOCK DETERMINISTA (tests offline, sin red)
+ * ===================================================================== */
+
+// Misma entrada → misma salida. Clasifica por palabras clave del texto del cliente.
+// AI_MOCK_RESPONSE fuerza una respuesta cruda fija (útil para probar errores de parseo).
+function mockAnalyze(text) {
+  const t = text.toLowerCase();
+  const has = (...words) => words.some((w) => t.includes(w));
+
+  const quiereMaquina = has("máquina", "maquina", "vending", "smartchef", "machine");
+  const quierePizzas = has("pizza");
+
+  let intencion = "otros";
+  if (has("avería", "averia", "no funciona", "error", "incidencia", "broken")) {
+    intencion = "soporte";
+  } else if (has("operador", "operar", "gestionar máquinas", "franquicia")) {
+    intencion = "operador";
+  } else if (quiereMaquina && quierePizzas) {
+    intencion = "ambos";
+  } else if (quiereMaquina) {
+    intencion = "maquina";
+  } else if (quierePizzas) {
+    intencion = "pizzas";
+  } else if (has("información", "informacion", "info", "?")) {
+    intencion = "info";
+  }
+
+  let idioma = "es";
+  if (has(" bon dia", "màquina", "voldria", "gràcies")) idioma = "ca";
+  else if (has("bonjour", "je voudrais", "merci")) idioma = "fr";
+  else if (has("olá", "obrigad", "gostaria")) idioma = "pt";
+  else if (has("hello", "hi ", "i would", "thank")) idioma = "en";
+
+  let urgencia = "media";
+  if (has("urgente", "urgent", "hoy", "cuanto antes", "asap")) urgencia = "alta";
+  else if (has("sin prisa", "más adelante", "no urge")) urgencia = "baja";
+
+  const pais =
+    { es: "España", ca: "España", fr: "Francia", pt: "Portugal", en: "Desconocido" }[idioma];
+
+  const resumen = text.replace(/\s+/g, " ").trim().slice(0, 120);
+
+  return {
+    intencion,
+    idioma,
+    pais,
+    urgencia,
+    resumen,
+    pregunta: resumen,
+    datos_detectados: {
+      cantidad: "no especifica",
+      ubicacion: "no especifica",
+      plazo: "no especifica",
+      empresa: "no especifica",
+    },
+  };
+}
+
+// Borrador fijo en el idioma pedido, con la firma del prompt
+function mockDraft(userPrompt) {
+  const field = (name) => {
+    const m = userPrompt.match(new RegExp(`^${name}: (.*)$`, "m"));
+    return m ? m[1].trim() : "";
+  };
+  const idioma = field("Idioma de la respuesta").split(" ")[0] || "es";
+  const nombre = field("Nombre del cliente");
+  const respuesta = {
+    es: `Hola${nombre ? ` ${nombre}` : ""}, gracias por escribirnos. Hemos recibido tu consulta y el equipo te enviará los detalles en breve.`,
+    ca: `Hola${nombre ? ` ${nombre}` : ""}, gràcies per escriure'ns. Hem rebut la teva consulta i l'equip t'enviarà els detalls aviat.`,
+    fr: `Bonjour${nombre ? ` ${nombre}` : ""}, merci de nous avoir écrit. Nous avons bien reçu votre demande et l'équipe vous enverra les détails rapidement.`,
+    pt: `Olá${nombre ? ` ${nombre}` : ""}, obrigado pela sua mensagem. Recebemos o seu pedido e a equipa vai enviar-lhe os detalhes em breve.`,
+    en: `Hello${nombre ? ` ${nombre}` : ""}, thank you for writing to us. We have received your enquiry and the team will send you the details shortly.`,
+  }[idioma] || "";
+
+  return { idioma, respuesta: `${respuesta}\n\n${field("Firma")}` };
+}
+
+// Resumen de un fragmento de llamada (lib/transcript.js): primeras frases y momentos
+// por palabras clave de cada turno
+function mockCallSummary(userPrompt) {
+  const lines = userPrompt
+    .split("\n")
+    .filter((l) => l.trim() && !/^(FRAGMENTO \d+|Devuelve SOLO|Estos son|Únelos)/.test(l));
+  const momentos = [];
+  for (const line of lines) {
+    const m = line.match(/^(Agente|Cliente):\s*(.*)$/);
+    if (!m) continue;
+    const t = m[2].toLowerCase();
+    const hablante = m[1].toLowerCase();
+    if (/caro|precio alto|no tengo espacio|no me convence|no sé si/.test(t)) {
+      momentos.push({ tipo: "objecion", hablante, texto: m[2].trim() });
+    } else if (/llám|llamar|envi|manda|presupuesto|visita/.test(t)) {
+      momentos.push({ tipo: "seguimiento", hablante, texto: m[2].trim() });
+    }
+  }
+  const resumen = lines.join(" ").replace(/\s+/g, " ").trim().slice(0, 300);
+  return { resumen, momentos };
+}
+
+function createMockProvider() {
+  return {
+    name: "mock",
+    model: "mock",
+    async generate(systemPrompt, userPrompt) {
+      let output = process.env.AI_MOCK_RESPONSE;
+
+      if (!output && systemPrompt.includes("resume llamadas comerciales")) {
+        output = JSON.stringify(mockCallSummary(userPrompt));
+      }
+
+      if (!output && userPrompt.includes("PREGUNTA DEL CLIENTE:")) {
+        // Borrador de respuesta (lib/reply-draft.js)
+        output = JSON.stringify(mockDraft(userPrompt));
+      }
+
+      if (!output) {
+        // Nos quedamos con el texto del cliente que monta buildUserPrompt
+        const marker = "TEXTO DEL CLIENTE:";
+        const idx = userPrompt.indexOf(marker);
+        const text = idx !== -1 ? userPrompt.slice(idx + marker.length) : userPrompt;
+        output = JSON.stringify(mockAnalyze(text.split("Devuelve SOLO")[0]));
+      }
+
+      // Estimación de tokens (~4 caracteres por token) para probar cuotas
+      return {
+        text: output,
+        usage: {
+          prompt_tokens: Math.ceil((systemPrompt.length + userPrompt.length) / 4),
+          completion_tokens: Math.ceil(output.length / 4),
+        },
+      };
+    },
+  };
+}
+
+/* =====================================================================
+ *  SELECCIÓN + FALLBACK
+ * ===================================================================== */
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+};
+
+function createProvider(name) {
+  const key = String(name || "").trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[key];
+  if (!factory) {
+    throw new Error(
+      `Proveedor IA desconocido "${name}" (opciones: ${Object.keys(PROVIDER_FACTORIES).join(", ")})`
+    );
+  }
+  return factory();
+}
+
+const primaryProvider = createProvider(process.env.AI_PROVIDER || "gemini");
+const fallbackProvider = process.env.AI_FALLBACK_PROVIDER
+  ? createProvider(process.env.AI_FALLBACK_PROVIDER)
+  : null;
+
+// Genera con el proveedor principal y, si falla o hace timeout, con el secundario.
+// Devuelve { text, usage, provider, model }.
+async function generateText(systemPrompt, userPrompt) {
+  try {
+    const { text, usage } = await primaryProvider.generate(systemPrompt, userPrompt);
+    return { text, usage, provider: primaryProvider.name, model: primaryProvider.model };
+  } catch (err) {
+    if (!fallbackProvider) throw err;
+
+    logger.warn("IA: falla el proveedor principal, se usa el fallback", {
+      provider: primaryProvider.name,
+      fallback: fallbackProvider.name,
+      err,
+    });
+    const { text, usage } = await fallbackProvider.generate(systemPrompt, userPrompt);
+    return { text, usage, provider: fallbackProvider.name, model: fallbackProvider.model };
+  }
+}
+
+function describeProviders() {
+  return {
+    primary: primaryProvider.name,
+    model: primaryProvider.model,
+    fallback: fallbackProvider ? fallbackProvider.name : null,
+  };
+}
+
+module.exports = {
+  createProvider,
+  generateText,
+  describeProviders,
+};
@@ -0,0 +1,247 @@
+// lib/ai-schema.js — esquema del JSON de análisis (el de buildSystemPrompt),
+// validación con Ajv y corrección de valores fuera de esquema.
+
+const Ajv = require("ajv");
+
+const INTENCIONES = ["maquina", "pizzas", "ambos", "operador", "soporte", "info", "otros"];
+const IDIOMAS = ["es", "ca", "en", "fr", "pt"];
+const URGENCIAS = ["alta", "media", "baja"];
+const DATOS_REQUERIDOS = ["cantidad", "ubicacion", "plazo"];
+
+const ANALYSIS_SCHEMA = {
+  type: "object",
+  required: [
+    "intencion",
+    "idioma",
+    "pais",
+    "urgencia",
+    "resumen",
+    "pregunta",
+    "datos_detectados",
+  ],
+  properties: {
+    intencion: { type: "string", enum: INTENCIONES },
+    idioma: { type: "string", enum: IDIOMAS },
+    pais: { type: "string", minLength: 1 },
+    urgencia: { type: "string", enum: URGENCIAS },
+    resumen: { type: "string" },
+    pregunta: { type: "string" },
+    datos_detectados: {
+      type: "object",
+      required: DATOS_REQUERIDOS,
+      properties: {
+        cantidad: { type: "string" },
+        ubicacion: { type: "string" },
+        plazo: { type: "string" },
+        empresa: { type: "string" },
+      },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(ANALYSIS_SCHEMA);
+
+// Nombres alternativos que a veces devuelve el modelo (intent, language…)
+function applyAliases(parsed) {
+  const p = parsed && typeof parsed === "object" ? parsed : {};
+  const out = { ...p };
+  if (out.intencion === undefined && p.intent !== undefined) out.intencion = p.intent;
+  if (out.idioma === undefined && p.language !== undefined) out.idioma = p.language;
+  if (out.pais === undefined && p.country !== undefined) out.pais = p.country;
+  if (out.urgencia === undefined && p.urgency !== undefined) out.urgencia = p.urgency;
+  if (out.datos_detectados === undefined && p.data !== undefined) {
+    out.datos_detectados = p.data;
+  }
+  return out;
+}
+
+// Errores legibles (se reenvían al modelo en la petición de reparación)
+function formatError(e) {
+  const field = e.instancePath ? e.instancePath.slice(1).replace(/\//g, ".") : "";
+  switch (e.keyword) {
+    case "required":
+      return `falta el campo "${field ? `${field}.` : ""}${e.params.missingProperty}"`;
+    case "enum":
+      return `"${field}" debe ser uno de: ${e.params.allowedValues.join(", ")}`;
+    case "type":
+      return `"${field || "respuesta"}" debe ser de tipo ${e.params.type}`;
+    case "minLength":
+      return `"${field}" no puede estar vacío`;
+    default:
+      return `"${field}" ${e.message}`;
+  }
+}
+
+// Devuelve la lista de errores de esquema ([] si es válido)
+function validateAnalysis(parsed) {
+  const candidate = applyAliases(parsed);
+  if (validateSchema(candidate)) return [];
+  return (validateSchema.errors || []).map(formatError);
+}
+
+/* =====================================================================
+ *  CORRECCIÓN (cuando ni la reparación del modelo deja el JSON válido)
+ * ===================================================================== */
+
+function simplify(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+const INTENCION_SINONIMOS = {
+  maquinas: "maquina",
+  machine: "maquina",
+  vending: "maquina",
+  pizza: "pizzas",
+  both: "ambos",
+  operator: "operador",
+  support: "soporte",
+  "soporte tecnico": "soporte",
+  informacion: "info",
+  information: "info",
+  otro: "otros",
+  other: "otros",
+};
+
+const IDIOMA_SINONIMOS = {
+  spanish: "es",
+  espanol: "es",
+  castellano: "es",
+  catalan: "ca",
+  catala: "ca",
+  english: "en",
+  ingles: "en",
+  french: "fr",
+  frances: "fr",
+  francais: "fr",
+  portuguese: "pt",
+  portugues: "pt",
+};
+
+const URGENCIA_SINONIMOS = {
+  high: "alta",
+  urgente: "alta",
+  medium: "media",
+  normal: "media",
+  low: "baja",
+};
+
+function coerceEnum(value, allowed, synonyms) {
+  const v = simplify(value);
+  if (allowed.includes(v)) return v;
+  if (synonyms[v]) return synonyms[v];
+  // "es-ES", "pt_BR"…
+  const prefix = v.split(/[-_]/)[0];
+  if (allowed.includes(prefix)) return prefix;
+  return null;
+}
+
+// Ajusta el análisis al esquema. Devuelve { value, coerced }, donde coerced
+// lista cada campo cambiado: { campo, original, valor }.
+function coerceAnalysis(parsed) {
+  const p = applyAliases(parsed);
+  const coerced = [];
+
+  function set(campo, original, valor) {
+    if (original !== valor) coerced.push({ campo, original: original ?? null, valor });
+    return valor;
+  }
+
+  const intencion = set(
+    "intencion",
+    p.intencion,
+    coerceEnum(p.intencion, INTENCIONES, INTENCION_SINONIMOS) || "otros"
+  );
+  const idioma = set(
+    "idioma",
+    p.idioma,
+    coerceEnum(p.idioma, IDIOMAS, IDIOMA_SINONIMOS) || "es"
+  );
+  const urgencia = set(
+    "urgencia",
+    p.urgencia,
+    coerceEnum(p.urgencia, URGENCIAS, URGENCIA_SINONIMOS) || "media"
+  );
+
+  const paisTxt = typeof p.pais === "string" ? p.pais.trim() : "";
+  const pais = set("pais", p.pais, paisTxt || "Desconocido");
+
+  const resumen = set(
+    "resumen",
+    p.resumen,
+    p.resumen == null ? "" : String(p.resumen)
+  );
+  const pregunta = set(
+    "pregunta",
+    p.pregunta,
+    p.pregunta == null ? "" : String(p.pregunta)
+  );
+
+  const datosIn =
+    p.datos_detectados && typeof p.datos_detectados === "object" && !Array.isArray(p.datos_detectados)
+      ? p.datos_detectados
+      : {};
+  if (datosIn !== p.datos_detectados) {
+    coerced.push({ campo: "datos_detectados", original: p.datos_detectados ?? null, valor: {} });
+  }
+
+  const datos_detectados = { ...datosIn };
+  for (const key of [...DATOS_REQUERIDOS, "empresa"]) {
+    const original = datosIn[key];
+    if (original == null) {
+      if (DATOS_REQUERIDOS.includes(key)) {
+        datos_detectados[key] = set(`datos_detectados.${key}`, original, "no especifica");
+      }
+    } else if (typeof original !== "string") {
+      datos_detectados[key] = set(`datos_detectados.${key}`, original, String(original));
+    }
+  }
+
+  return {
+    value: {
+      intencion,
+      idioma,
+      pais,
+      urgencia,
+      resumen,
+      pregunta,
+      datos_detectados,
+    },
+    coerced,
+  };
+}
+
+// Texto crudo del modelo → objeto JSON (o null). Acepta JSON rodeado de texto o
+// de ```json … ```: se queda con lo que hay entre el primer '{' y el último '}'.
+function parseAIJson(rawText) {
+  function tryParse(str) {
+    try {
+      return JSON.parse(str);
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  const text = String(rawText || "");
+  const parsed = tryParse(text);
+  if (parsed) return parsed;
+
+  const first = text.indexOf("{");
+  const last = text.lastIndexOf("}");
+  if (first !== -1 && last > first) return tryParse(text.slice(first, last + 1));
+  return null;
+}
+
+module.exports = {
+  INTENCIONES,
+  IDIOMAS,
+  URGENCIAS,
+  ANALYSIS_SCHEMA,
+  validateAnalysis,
+  coerceAnalysis,
+  parseAIJson,
+};
@@ -0,0 +1,132 @@
+// lib/audit.js — traza de cada análisis (entrada, prompt, respuesta cruda del modelo,
+// resultado normalizado, tags, vals enviados a Odoo y lead resultante).
+//
+// Un fichero JSONL por día en dir/YYYY-MM-DD.jsonl (solo se añade; barato de escribir).
+// Los ficheros más antiguos que retentionDays se borran al arrancar y una vez al día.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+const { maskDeep } = require("./pii");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Campos que se enmascaran (los ids, fechas y métricas se dejan tal cual)
+const REDACTED_FIELDS = ["input", "ai_calls", "analysis", "reply", "odoo", "error"];
+
+function createAuditLog({ dir, retentionDays = 90, redactPII = true }) {
+  function fileForDay(day) {
+    return path.join(dir, `${day}.jsonl`);
+  }
+
+  function listDays() {
+    try {
+      return fs
+        .readdirSync(dir)
+        .map((f) => (f.match(FILE_RE) || [])[1])
+        .filter(Boolean)
+        .sort();
+    } catch (_e) {
+      return [];
+    }
+  }
+
+  // Guarda una entrada. Nunca lanza: un fallo de auditoría no debe tumbar el pipeline.
+  function record(entry) {
+    try {
+      const now = new Date();
+      const stored = { id: crypto.randomUUID(), time: now.toISOString(), ...entry };
+      if (redactPII) {
+        for (const field of REDACTED_FIELDS) {
+          if (stored[field] !== undefined) stored[field] = maskDeep(stored[field]);
+        }
+      }
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(fileForDay(now.toISOString().slice(0, 10)), `${JSON.stringify(stored)}\n`);
+      return stored;
+    } catch (err) {
+      logger.error("Auditoría: no se pudo guardar la traza", { err });
+      return null;
+    }
+  }
+
+  function readDay(day) {
+    let raw;
+    try {
+      raw = fs.readFileSync(fileForDay(day), "utf8");
+    } catch (_e) {
+      return [];
+    }
+    const out = [];
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        out.push(JSON.parse(line));
+      } catch (_e) {
+        // línea cortada por un reinicio a mitad de escritura: se ignora
+      }
+    }
+    return out;
+  }
+
+  // Filtros: from / to (YYYY-MM-DD), lead_id, client, route, intencion, canal, status,
+  // prompt_version, q (texto libre) y limit. Devuelve las más recientes primero.
+  function query(filters = {}) {
+    const limit = Math.min(Number(filters.limit) || 50, 500);
+    const q = filters.q ? String(filters.q).toLowerCase() : "";
+    const leadId = filters.lead_id ? Number(filters.lead_id) : null;
+
+    const days = listDays()
+      .filter((d) => (!filters.from || d >= filters.from) && (!filters.to || d <= filters.to))
+      .reverse();
+
+    const results = [];
+    for (const day of days) {
+      const entries = readDay(day).reverse();
+      for (const e of entries) {
+        if (leadId !== null && e.lead_id !== leadId) continue;
+        if (filters.client && e.client !== filters.client) continue;
+        if (filters.route && e.route !== filters.route) continue;
+        if (filters.status && e.status !== filters.status) continue;
+        if (filters.prompt_version && e.prompt_version !== filters.prompt_version) continue;
+        if (filters.intencion && (e.analysis || {}).intencion !== filters.intencion) continue;
+        if (filters.canal && ((e.input || {}).canal || "") !== filters.canal) continue;
+        if (q && !JSON.stringify(e).toLowerCase().includes(q)) continue;
+        results.push(e);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  }
+
+  // Borra los días fuera de la retención
+  function purge() {
+    if (!retentionDays) return 0;
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString().slice(0, 10);
+    let removed = 0;
+    for (const day of listDays()) {
+      if (day >= cutoff) continue;
+      try {
+        fs.unlinkSync(fileForDay(day));
+        removed += 1;
+      } catch (err) {
+        logger.error("Auditoría: no se pudo borrar un día antiguo", { day, err });
+      }
+    }
+    if (removed) logger.info("Auditoría: días antiguos borrados", { removed, retention_days: retentionDays });
+    return removed;
+  }
+
+  function start() {
+    purge();
+    setInterval(purge, DAY_MS).unref();
+  }
+
+  return { record, query, purge, start };
+}
+
+module.exports = {
+  createAuditLog,
+};
@@ -0,0 +1,257 @@
+// lib/auth.js — API keys por cliente (scopes, orígenes, revocación), peticiones
+// firmadas con HMAC y verificación de la firma de los webhooks de Zadarma.
+//
+// Fichero de claves (API_KEYS_FILE, por defecto data/api-keys.json):
+// {
+//   "keys": [
+//     {
+//       "id": "web-piznalia",
+//       "key_sha256": "<sha256 hex de la clave>",   // nunca guardamos la clave en claro
+//       "hmac_secret": "<opcional, para peticiones firmadas>",
+//       "scopes": ["lead:analyze", "lead:create"],
+//       "origins": ["https://piznalia.com"],        // vacío = cualquier origen
+//       "rate_limit_max": 120,                      // opcional, peticiones por ventana
+//       "daily_ai_quota": 500,                      // opcional, llamadas IA por día
+//       "revoked": false
+//     }
+//   ]
+// }
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Margen de reloj aceptado en peticiones firmadas (X-Timestamp)
+const HMAC_MAX_SKEW_MS = 5 * 60 * 1000;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a || ""));
+  const bufB = Buffer.from(String(b || ""));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hasBody(req) {
+  return Number(req.get("content-length") || 0) > 0 || Boolean(req.get("transfer-encoding"));
+}
+
+// Vista pública de una clave (sin hash ni secreto)
+function publicKey(k) {
+  return {
+    id: k.id,
+    scopes: k.scopes || [],
+    origins: k.origins || [],
+    rate_limit_max: k.rate_limit_max ?? null,
+    daily_ai_quota: k.daily_ai_quota ?? null,
+    revoked: Boolean(k.revoked),
+    hmac: Boolean(k.hmac_secret),
+    created_at: k.created_at || null,
+    revoked_at: k.revoked_at || null,
+  };
+}
+
+function createApiKeyStore({ file }) {
+  let keys = [];
+  let loadedMtime = 0;
+
+  // Relee el fichero si ha cambiado (permite revocar editando el JSON sin reiniciar)
+  function reload() {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (_e) {
+      keys = [];
+      return;
+    }
+    if (stat.mtimeMs === loadedMtime) return;
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    keys = Array.isArray(data.keys) ? data.keys : [];
+    loadedMtime = stat.mtimeMs;
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2));
+    fs.renameSync(tmp, file);
+    loadedMtime = fs.statSync(file).mtimeMs;
+  }
+
+  function findById(id) {
+    reload();
+    return keys.find((k) => k.id === id) || null;
+  }
+
+  // Autentica la petición. Devuelve { ok: true, key } o { ok: false, status, reason, keyId }.
+  // Acepta X-API-Key / Authorization: Bearer, o firma HMAC (X-Key-Id + X-Timestamp + X-Signature)
+  // sobre `${timestamp}.${cuerpo}`; las subidas CSV / multipart tienen que usar la API key.
+  function authenticate(req, scope) {
+    reload();
+
+    let key = null;
+    const keyId = req.get("x-key-id");
+    const signature = req.get("x-signature");
+
+    if (keyId && signature) {
+      key = keys.find((k) => k.id === keyId) || null;
+      if (!key || !key.hmac_secret) {
+        return { ok: false, status: 401, reason: "clave_hmac_desconocida", keyId };
+      }
+      const timestamp = req.get("x-timestamp") || "";
+      const ts = Number(timestamp) * 1000;
+      if (!ts || Math.abs(Date.now() - ts) > HMAC_MAX_SKEW_MS) {
+        return { ok: false, status: 401, reason: "timestamp_invalido", keyId };
+      }
+      // La firma cubre el cuerpo crudo, que solo guardan los parsers JSON / formulario:
+      // un cuerpo que no se ha leído aún (CSV, multipart) no se puede firmar y se
+      // rechaza (si no, la firma de otra petición valdría con cualquier cuerpo)
+      if (!req.rawBody && hasBody(req)) {
+        return { ok: false, status: 401, reason: "cuerpo_no_firmable", keyId };
+      }
+      const expected = crypto
+        .createHmac("sha256", key.hmac_secret)
+        .update(`${timestamp}.${req.rawBody ? req.rawBody.toString("utf8") : ""}`)
+        .digest("hex");
+      if (!safeEqual(signature.toLowerCase(), expected)) {
+        return { ok: false, status: 401, reason: "firma_invalida", keyId };
+      }
+    } else {
+      const header = req.get("authorization") || "";
+      const provided =
+        req.get("x-api-key") ||
+        (header.startsWith("Bearer ") ? header.slice(7) : "");
+      if (!provided) {
+        return { ok: false, status: 401, reason: "sin_credenciales" };
+      }
+      const hash = sha256(provided);
+      key = keys.find((k) => safeEqual(k.key_sha256, hash)) || null;
+      if (!key) {
+        return { ok: false, status: 401, reason: "clave_desconocida" };
+      }
+    }
+
+    if (key.revoked) {
+      return { ok: false, status: 401, reason: "clave_revocada", keyId: key.id };
+    }
+
+    if (scope && !(key.scopes || []).includes(scope)) {
+      return { ok: false, status: 403, reason: "scope_insuficiente", keyId: key.id };
+    }
+
+    const origin = req.get("origin");
+    const origins = key.origins || [];
+    if (origin && origins.length && !origins.includes("*") && !origins.includes(origin)) {
+      return { ok: false, status: 403, reason: "origen_no_permitido", keyId: key.id };
+    }
+
+    return { ok: true, key };
+  }
+
+  // Orígenes permitidos por alguna clave activa (para las cabeceras CORS)
+  function isOriginAllowed(origin) {
+    reload();
+    return keys.some(
+      (k) =>
+        !k.revoked &&
+        ((k.origins || []).includes("*") || (k.origins || []).includes(origin))
+    );
+  }
+
+  function list() {
+    reload();
+    return keys.map(publicKey);
+  }
+
+  // Crea una clave nueva. La clave (y el secreto HMAC) en claro solo se devuelven aquí.
+  function create({ id, scopes, origins, hmac, rateLimitMax, dailyAiQuota }) {
+    reload();
+    if (!id || keys.some((k) => k.id === id)) {
+      throw new Error(`Id de API key vacío o repetido: ${id}`);
+    }
+    const plainKey = `oac_${crypto.randomBytes(24).toString("base64url")}`;
+    const entry = {
+      id,
+      key_sha256: sha256(plainKey),
+      scopes: scopes || [],
+      origins: origins || [],
+      revoked: false,
+      created_at: new Date().toISOString(),
+    };
+    if (rateLimitMax != null) entry.rate_limit_max = Number(rateLimitMax);
+    if (dailyAiQuota != null) entry.daily_ai_quota = Number(dailyAiQuota);
+    if (hmac) entry.hmac_secret = crypto.randomBytes(32).toString("hex");
+    keys.push(entry);
+    persist();
+    return { ...publicKey(entry), key: plainKey, hmac_secret: entry.hmac_secret };
+  }
+
+  function revoke(id) {
+    const key = findById(id);
+    if (!key) return null;
+    key.revoked = true;
+    key.revoked_at = new Date().toISOString();
+    persist();
+    return publicKey(key);
+  }
+
+  return { authenticate, isOriginAllowed, list, create, revoke };
+}
+
+/* =====================================================================
+ *  ZADARMA
+ * ===================================================================== */
+
+// Cadena firmada por Zadarma según el evento (ver documentación de notificaciones).
+// Para payloads propios (p.ej. transcripción ya hecha) se firma el cuerpo crudo.
+function zadarmaSignedString(body, rawBody) {
+  switch (body.event) {
+    case "NOTIFY_START":
+    case "NOTIFY_INTERNAL":
+    case "NOTIFY_END":
+    case "NOTIFY_IVR":
+      return `${body.caller_id || ""}${body.called_did || ""}${body.call_start || ""}`;
+    case "NOTIFY_ANSWER":
+      return `${body.caller_id || ""}${body.destination || ""}${body.call_start || ""}`;
+    case "NOTIFY_OUT_START":
+    case "NOTIFY_OUT_END":
+      return `${body.internal || ""}${body.destination || ""}${body.call_start || ""}`;
+    case "NOTIFY_RECORD":
+      return `${body.pbx_call_id || ""}${body.call_id_with_rec || ""}`;
+    default:
+      return rawBody ? rawBody.toString("utf8") : "";
+  }
+}
+
+// Zadarma: Signature = base64( hex( HMAC-SHA1(cadena, API_SECRET) ) )
+function verifyZadarmaSignature(body, rawBody, signature, secret) {
+  if (!signature || !secret) return false;
+  const hex = crypto
+    .createHmac("sha1", secret)
+    .update(zadarmaSignedString(body || {}, rawBody))
+    .digest("hex");
+  const expected = Buffer.from(hex).toString("base64");
+  return safeEqual(signature, expected);
+}
+
+/* =====================================================================
+ *  META (WhatsApp Cloud API, webhooks de la Graph API)
+ * ===================================================================== */
+
+// X-Hub-Signature-256: "sha256=" + hex( HMAC-SHA256(cuerpo crudo, APP_SECRET) )
+function verifyMetaSignature(rawBody, header, appSecret) {
+  if (!header || !appSecret || !rawBody) return false;
+  const expected =
+    "sha256=" +
+    crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex");
+  return safeEqual(header, expected);
+}
+
+module.exports = {
+  createApiKeyStore,
+  verifyZadarmaSignature,
+  verifyMetaSignature,
+  safeEqual,
+};
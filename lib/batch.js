@@ -0,0 +1,126 @@
+// lib/batch.js — trabajos de análisis por lotes (histórico de leads, CSV)
+//
+// Cada lote se procesa en segundo plano con concurrencia limitada. El estado (contadores)
+// se guarda en DATA_DIR/batches/<id>.json y el informe (una fila de resultado por fila
+// de entrada) se va añadiendo a <id>.results.jsonl: cada fila se escribe una sola vez.
+// Los lotes terminados salen de memoria pasado retainMs; después se leen del disco.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Ejecuta fn(item, index) para todos los items con como mucho `limit` a la vez
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+function createBatchRunner({ dir, concurrency = 3, retainMs = 60 * 60 * 1000 }) {
+  const jobs = new Map();
+
+  function fileFor(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  function resultsFileFor(id) {
+    return path.join(dir, `${id}.results.jsonl`);
+  }
+
+  function persist(job) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${fileFor(job.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+    fs.renameSync(tmp, fileFor(job.id));
+  }
+
+  // Lanza un lote. processRow(row, index, job) debe devolver el objeto de resultado
+  // de la fila (con "status"); si lanza, la fila queda como "error".
+  function start(rows, processRow, meta = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: "procesando",
+      meta,
+      total: rows.length,
+      processed: 0,
+      counts: {},
+      created_at: new Date().toISOString(),
+      finished_at: null,
+    };
+    jobs.set(job.id, job);
+    persist(job);
+
+    const done = mapWithConcurrency(rows, concurrency, async (row, index) => {
+      let result;
+      try {
+        result = await processRow(row, index, job);
+      } catch (err) {
+        result = { status: "error", error: err.message };
+      }
+      result = { fila: index + 1, ...result };
+
+      fs.appendFileSync(resultsFileFor(job.id), `${JSON.stringify(result)}\n`);
+      job.processed += 1;
+      job.counts[result.status] = (job.counts[result.status] || 0) + 1;
+      // Guardar progreso (solo contadores) cada 10 filas
+      if (job.processed % 10 === 0) persist(job);
+    }).then(() => {
+      job.status = "terminado";
+      job.finished_at = new Date().toISOString();
+      persist(job);
+    }).catch((err) => {
+      job.status = "error";
+      job.error = err.message;
+      job.finished_at = new Date().toISOString();
+      persist(job);
+    }).finally(() => {
+      setTimeout(() => jobs.delete(job.id), retainMs).unref();
+    });
+
+    // Promesa de fin (no se serializa en el JSON del lote)
+    Object.defineProperty(job, "done", { value: done, enumerable: false });
+    return job;
+  }
+
+  // Lote en memoria o, si ya salió de memoria o el proceso se reinició, el guardado en disco
+  function get(id) {
+    if (jobs.has(id)) return jobs.get(id);
+    if (!/^[\w-]+$/.test(id) || !fs.existsSync(fileFor(id))) return null;
+    const job = JSON.parse(fs.readFileSync(fileFor(id), "utf8"));
+    if (job.status === "procesando") job.status = "interrumpido";
+    return job;
+  }
+
+  // Resultados del lote por orden de fila (las que ya se han procesado)
+  function results(id) {
+    let raw;
+    try {
+      raw = fs.readFileSync(resultsFileFor(id), "utf8");
+    } catch (_e) {
+      return [];
+    }
+    return raw
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .sort((a, b) => a.fila - b.fila);
+  }
+
+  return { start, get, results };
+}
+
+module.exports = {
+  createBatchRunner,
+  mapWithConcurrency,
+};
@@ -0,0 +1,35 @@
+// lib/config.js — carga de ficheros de configuración JSON (carpeta config/)
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_DIR = path.join(__dirname, "..", "config");
+
+// Ruta del fichero: la de la variable de entorno si existe, si no config/<defaultName>
+function resolveConfigPath(envValue, defaultName) {
+  if (envValue) return path.resolve(envValue);
+  return path.join(CONFIG_DIR, defaultName);
+}
+
+// Lee y parsea un JSON. Lanza Error si no existe o no es JSON válido:
+// una configuración rota debe verse al arrancar, no en el primer lead.
+function loadJsonConfig(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    throw new Error(`No se pudo leer la configuración ${filePath}: ${err.message}`);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`JSON inválido en ${filePath}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  CONFIG_DIR,
+  resolveConfigPath,
+  loadJsonConfig,
+};
@@ -0,0 +1,117 @@
+// lib/conversations.js — historial de conversación por contacto, común a todos los canales
+//
+// Un contacto se identifica por sus claves ("email:ana@bar.es", "tel:612345678"). Si un
+// mensaje trae varias claves que estaban en conversaciones distintas (p. ej. escribió
+// por el formulario con su email y luego llamó), las conversaciones se unen.
+// Se guardan los últimos maxMessages mensajes (texto + análisis de entonces) y las
+// conversaciones sin actividad en ttlDays se olvidan. Fichero JSON con escritura atómica.
+// Como en la auditoría, emails, teléfonos, IBAN y DNI se guardan enmascarados (salvo
+// redactPII: false) y las claves del contacto solo como hash.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+const { maskDeep } = require("./pii");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TEXT_CHARS = 2000;
+
+// "email:ana@bar.es" → hash (el fichero no guarda el email ni el teléfono en claro)
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function createConversationStore({ file, maxMessages = 10, ttlDays = 180, redactPII = true }) {
+  let conversations = {};
+  try {
+    conversations = JSON.parse(fs.readFileSync(file, "utf8")).conversations || {};
+  } catch (_e) {
+    conversations = {};
+  }
+
+  // Índice clave (hash) → id de conversación; cada clave está en una sola conversación
+  const idByKey = new Map();
+  for (const [id, conv] of Object.entries(conversations)) {
+    for (const k of conv.keys) idByKey.set(k, id);
+  }
+
+  function remove(id) {
+    for (const k of conversations[id].keys) idByKey.delete(k);
+    delete conversations[id];
+  }
+
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ conversations }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      logger.error("Conversaciones: no se pudo guardar el historial", { err });
+    }
+  }
+
+  // Olvida las conversaciones sin actividad en ttlDays; devuelve cuántas
+  function prune() {
+    const cutoff = Date.now() - ttlDays * DAY_MS;
+    const expired = Object.keys(conversations).filter(
+      (id) => Date.parse(conversations[id].updated_at) < cutoff
+    );
+    expired.forEach(remove);
+    return expired.length;
+  }
+
+  function idsForKeys(keys) {
+    return Array.from(new Set(keys.map((k) => idByKey.get(k)).filter(Boolean)));
+  }
+
+  // Mensajes anteriores del contacto (de más antiguo a más reciente)
+  function history(keys) {
+    if (!keys.length) return [];
+    if (prune()) persist();
+    return idsForKeys(keys.map(hashKey))
+      .flatMap((id) => conversations[id].messages)
+      .sort((a, b) => a.time.localeCompare(b.time))
+      .slice(-maxMessages);
+  }
+
+  // Añade un mensaje { canal, origen, texto, analisis, lead_id }; une las conversaciones
+  // que compartan alguna de las claves
+  function append(contactKeys, message) {
+    if (!contactKeys.length) return null;
+    prune();
+
+    const keys = contactKeys.map(hashKey);
+    const ids = idsForKeys(keys);
+    const merged = {
+      keys: Array.from(new Set([...ids.flatMap((id) => conversations[id].keys), ...keys])),
+      messages: ids.flatMap((id) => conversations[id].messages),
+    };
+    ids.forEach(remove);
+
+    let texto = String(message.texto || "");
+    if (texto.length > MAX_TEXT_CHARS) texto = `${texto.slice(0, MAX_TEXT_CHARS)}…`;
+    merged.messages.push({
+      ...message,
+      time: new Date().toISOString(),
+      texto: redactPII ? maskDeep(texto) : texto,
+      analisis: redactPII ? maskDeep(message.analisis) : message.analisis,
+    });
+    merged.messages.sort((a, b) => a.time.localeCompare(b.time));
+    merged.messages = merged.messages.slice(-maxMessages);
+    merged.updated_at = new Date().toISOString();
+
+    const id = ids[0] || crypto.randomUUID();
+    conversations[id] = merged;
+    for (const k of merged.keys) idByKey.set(k, id);
+    persist();
+    return { id, mensajes: merged.messages.length };
+  }
+
+  return { history, append };
+}
+
+module.exports = {
+  createConversationStore,
+};
@@ -0,0 +1,106 @@
+// lib/csv.js — lectura/escritura CSV (RFC 4180: comillas, "" escapadas, saltos de
+// línea dentro de campos). Detecta "," o ";" (Excel en español usa ";").
+
+// Buffer → texto: UTF-8 (con o sin BOM) o, si no es UTF-8 válido, Windows-1252/latin1
+function decodeCsvBuffer(buf) {
+  if (!Buffer.isBuffer(buf)) return String(buf || "");
+  const utf8 = buf.toString("utf8");
+  if (!utf8.includes("\uFFFD")) return utf8.replace(/^\uFEFF/, "");
+  return buf.toString("latin1");
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const count = (ch) => firstLine.split(ch).length - 1;
+  if (count(";") > count(",")) return ";";
+  if (count("\t") > count(",")) return "\t";
+  return ",";
+}
+
+// Texto CSV → { columns, rows } con rows como objetos { columna: valor }
+function parseCsv(text, { delimiter } = {}) {
+  const sep = delimiter || detectDelimiter(text);
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Fuera líneas vacías
+  const nonEmpty = records.filter((r) => r.some((v) => v.trim() !== ""));
+  if (!nonEmpty.length) return { columns: [], rows: [] };
+
+  const columns = nonEmpty[0].map((c) => c.trim());
+  const rows = nonEmpty.slice(1).map((r) => {
+    const obj = {};
+    columns.forEach((col, idx) => {
+      obj[col] = r[idx] !== undefined ? r[idx] : "";
+    });
+    return obj;
+  });
+
+  return { columns, rows };
+}
+
+// Un valor que empieza por =, +, -, @, tabulador o CR se ejecuta como fórmula al abrir
+// el CSV en Excel / Sheets: se antepone ' para que quede como texto
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  let str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(str)) str = `'${str}`;
+  return /[",\r\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// rows (objetos) → texto CSV con las columnas indicadas
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvValue).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCsvValue(row[c])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  decodeCsvBuffer,
+  parseCsv,
+  toCsv,
+};
@@ -0,0 +1,196 @@
+// lib/email.js — correo entrante: MIME crudo (RFC 822) y formatos JSON/form de los
+// servicios de inbound mail (SendGrid Inbound Parse, Mailgun, Postmark, genérico).
+// Devuelve remitente, asunto y cuerpo en texto plano sin citas ni firma.
+
+const { simpleParser } = require("mailparser");
+const { readMultipart } = require("./multipart");
+
+/* =====================================================================
+ *  UTILIDADES
+ * ===================================================================== */
+
+// "Ana Pérez <ana@bar.es>" → { name: "Ana Pérez", address: "ana@bar.es" }
+function parseAddress(value) {
+  const str = String(value || "").trim();
+  if (!str) return { name: "", address: "" };
+
+  const angled = str.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+  if (angled) {
+    return { name: angled[1].trim(), address: angled[2].trim().toLowerCase() };
+  }
+
+  const bare = str.match(/[^\s<>"',;]+@[^\s<>"',;]+/);
+  return { name: "", address: bare ? bare[0].toLowerCase() : "" };
+}
+
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h\d)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Inicio de la parte citada de una respuesta (ES, CA, EN, FR, PT)
+const QUOTE_HEADERS = [
+  /^\s*(on|el|le|em|a les|el dia)\b.{0,200}\b(wrote|escribió|escrigué|va escriure|a écrit|escreveu)\s*:?\s*$/i,
+  /^\s*-{2,}\s*(original message|mensaje original|missatge original|message d'origine|mensagem original)\s*-{2,}\s*$/i,
+  /^\s*-{2,}\s*(forwarded message|mensaje reenviado)\s*-{2,}\s*$/i,
+  /^_{10,}\s*$/,
+];
+
+// Cabecera de cita de Outlook: "De: …" seguido, en las líneas siguientes, de
+// "Enviado: …" y "Para: …". Un "De:" suelto (formularios reenviados, firmas) no lo es.
+const OUTLOOK_FROM = /^\s*(from|de|da)\s*:\s.+$/i;
+const OUTLOOK_SENT = /^\s*(sent|date|enviado|enviada|enviat|fecha|data|envoyé|inviato)\s*:\s.+$/i;
+const OUTLOOK_TO = /^\s*(to|para|per a|à|a)\s*:\s.+$/i;
+const OUTLOOK_BLOCK_LINES = 5;
+
+function isOutlookQuoteHeader(lines, i) {
+  if (!OUTLOOK_FROM.test(lines[i])) return false;
+  const next = lines.slice(i + 1, i + 1 + OUTLOOK_BLOCK_LINES);
+  return next.some((l) => OUTLOOK_SENT.test(l)) && next.some((l) => OUTLOOK_TO.test(l));
+}
+
+// Inicio de firma
+const SIGNATURE_MARKERS = [
+  /^--\s*$/,
+  /^\s*(enviado desde mi|sent from my|envoyé de mon|enviado do meu|enviat des del meu)\b/i,
+  /^\s*(un saludo|saludos|atentamente|cordialmente|best regards|kind regards|regards|cordialement|cumprimentos|atentament|salutacions)\s*[,.]?\s*$/i,
+];
+
+// Quita respuestas citadas ("> …", "El … escribió:") y la firma
+function cleanEmailBody(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+
+  for (const [i, line] of lines.entries()) {
+    if (QUOTE_HEADERS.some((re) => re.test(line)) || isOutlookQuoteHeader(lines, i)) break;
+    if (SIGNATURE_MARKERS.some((re) => re.test(line)) && kept.length) break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Remitente "real": el From, salvo que sea un no-reply y haya Reply-To
+// (típico de avisos de formularios web reenviados por correo)
+function pickSender(from, replyTo) {
+  const f = parseAddress(from);
+  const r = parseAddress(replyTo);
+  if (r.address && (!f.address || /no-?reply|donotreply|mailer-daemon/i.test(f.address))) {
+    return r;
+  }
+  return f;
+}
+
+/* =====================================================================
+ *  PARSEO
+ * ===================================================================== */
+
+// MIME crudo (RFC 822) → campos normalizados
+async function parseRawMime(raw) {
+  const mail = await simpleParser(raw);
+  const fromText = mail.from ? mail.from.text : "";
+  const replyToText = mail.replyTo ? mail.replyTo.text : "";
+
+  return {
+    format: "mime",
+    from: fromText,
+    replyTo: replyToText,
+    subject: mail.subject || "",
+    text: mail.text || htmlToText(mail.html),
+    messageId: mail.messageId || "",
+  };
+}
+
+// Formatos JSON / form de los servicios de inbound
+async function parseFields(f) {
+  // Si el servicio manda también el MIME completo, es la fuente más fiable
+  const raw = f.raw || f.email || f.RawEmail || f["body-mime"];
+  if (typeof raw === "string" && /^[\w-]+:\s/m.test(raw.slice(0, 2000))) {
+    return parseRawMime(raw);
+  }
+
+  // Postmark
+  if (f.FromFull || f.TextBody !== undefined || f.HtmlBody !== undefined) {
+    const from = f.FromFull
+      ? `${f.FromFull.Name || ""} <${f.FromFull.Email}>`
+      : f.From;
+    return {
+      format: "postmark",
+      from,
+      replyTo: f.ReplyTo || "",
+      subject: f.Subject || "",
+      text: f.StrippedTextReply || f.TextBody || htmlToText(f.HtmlBody),
+      messageId: f.MessageID || "",
+    };
+  }
+
+  // Mailgun
+  if (f["body-plain"] !== undefined || f["stripped-text"] !== undefined) {
+    return {
+      format: "mailgun",
+      from: f.from || f.From || f.sender,
+      replyTo: f["Reply-To"] || "",
+      subject: f.subject || f.Subject || "",
+      text: f["stripped-text"] || f["body-plain"] || htmlToText(f["body-html"]),
+      messageId: f["Message-Id"] || "",
+    };
+  }
+
+  // SendGrid Inbound Parse (sin raw) y JSON genérico { from, subject, text, html }
+  return {
+    format: "generico",
+    from: f.from || f.From || "",
+    replyTo: f.reply_to || f.replyTo || f["Reply-To"] || "",
+    subject: f.subject || f.Subject || "",
+    text: f.text || f.body || htmlToText(f.html),
+    messageId: f.message_id || "",
+  };
+}
+
+// Punto de entrada: detecta el formato por Content-Type.
+// Devuelve { format, fromName, fromAddress, subject, text, messageId }.
+async function parseInboundEmail(req, { limitBytes }) {
+  const type = (req.get("content-type") || "").toLowerCase();
+  let parsed;
+
+  if (type.startsWith("multipart/form-data")) {
+    // multipart/form-data (SendGrid, Mailgun): solo los campos de texto
+    const { fields } = await readMultipart(req, { limitBytes });
+    parsed = await parseFields(fields);
+  } else if (Buffer.isBuffer(req.body)) {
+    // message/rfc822 o text/plain: el cuerpo es el correo tal cual
+    parsed = await parseRawMime(req.body);
+  } else {
+    parsed = await parseFields(req.body || {});
+  }
+
+  const sender = pickSender(parsed.from, parsed.replyTo);
+
+  return {
+    format: parsed.format,
+    fromName: sender.name,
+    fromAddress: sender.address,
+    subject: String(parsed.subject || "").trim(),
+    text: cleanEmailBody(parsed.text),
+    messageId: parsed.messageId,
+  };
+}
+
+module.exports = {
+  parseInboundEmail,
+  cleanEmailBody,
+  parseAddress,
+  htmlToText,
+};
@@ -0,0 +1,143 @@
+// lib/follow-up.js — actividad de seguimiento (mail.activity) al crear un lead
+// (reglas en config/follow-up.json).
+//
+// Por intención se elige el tipo de actividad (llamada, email, reunión o tarea) y, por
+// urgencia, el plazo en días laborables: 0 = el mismo día laborable, 1 = el siguiente…
+// Los días laborables salen del horario (días de la semana, hora de cierre, festivos y
+// zona horaria): un lead que entra en fin de semana o después del cierre cuenta desde
+// el siguiente día laborable.
+
+const URGENCIAS = ["alta", "media", "baja"];
+// Tipo → xmlid del tipo de actividad estándar de Odoo
+const ACTIVITY_TYPES = {
+  llamada: "mail.mail_activity_data_call",
+  email: "mail.mail_activity_data_email",
+  reunion: "mail.mail_activity_data_meeting",
+  tarea: "mail.mail_activity_data_todo",
+};
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// Fecha/hora local en la zona del horario → { date: "YYYY-MM-DD", minutes }
+function localParts(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// "YYYY-MM-DD" → día de la semana 1 (lunes) … 7 (domingo)
+function weekday(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+}
+
+function addDays(date, n) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function createCalendar(horario = {}) {
+  const dias = horario.dias || [1, 2, 3, 4, 5];
+  const festivos = new Set(horario.festivos || []);
+
+  function isWorkday(date) {
+    return dias.includes(weekday(date)) && !festivos.has(date);
+  }
+
+  function nextWorkday(date) {
+    let d = addDays(date, 1);
+    // Un año sin días laborables sería un horario mal configurado
+    for (let i = 0; i < 366 && !isWorkday(d); i++) d = addDays(d, 1);
+    return d;
+  }
+
+  // Fecha límite a `days` días laborables de `now`
+  function dueDate(now, days) {
+    const local = localParts(now, horario.zona_horaria || "Europe/Madrid");
+    let date = local.date;
+    if (!isWorkday(date) || local.minutes >= toMinutes(horario.fin || "18:00")) {
+      date = nextWorkday(date);
+    }
+    for (let i = 0; i < days; i++) date = nextWorkday(date);
+    return date;
+  }
+
+  return { dueDate };
+}
+
+// Regla que se aplica a una intención: la de config.intenciones sobre config.por_defecto
+// (los plazos se mezclan por urgencia)
+function ruleFor(config, intencion) {
+  const base = config.por_defecto || {};
+  const own = (config.intenciones || {})[intencion] || {};
+  return {
+    ...base,
+    ...own,
+    plazos: { ...(config.plazos_por_urgencia || {}), ...(base.plazos || {}), ...(own.plazos || {}) },
+  };
+}
+
+// Análisis IA → { tipo, xmlid, fecha, dias_laborables } o null si la intención no
+// lleva seguimiento (activo: false)
+function planFollowUp(ai, config, now = new Date()) {
+  if (!config || config.activo === false) return null;
+  const rule = ruleFor(config, ai.intencion);
+  if (rule.activo === false) return null;
+
+  const tipo = rule.tipo || "llamada";
+  const dias = rule.plazos[ai.urgencia] ?? rule.plazos.media ?? 1;
+  return {
+    tipo,
+    xmlid: ACTIVITY_TYPES[tipo],
+    fecha: createCalendar(config.horario).dueDate(now, dias),
+    dias_laborables: dias,
+  };
+}
+
+// Lanza si la configuración tiene tipos, plazos u horario inválidos (para verlo al arrancar)
+function validateFollowUpConfig(config) {
+  const rules = [config.por_defecto || {}, ...Object.values(config.intenciones || {})];
+  for (const rule of rules) {
+    if (rule.tipo && !ACTIVITY_TYPES[rule.tipo]) {
+      throw new Error(
+        `Tipo de actividad desconocido "${rule.tipo}" (opciones: ${Object.keys(ACTIVITY_TYPES).join(", ")})`
+      );
+    }
+  }
+  for (const plazos of [config.plazos_por_urgencia, ...rules.map((r) => r.plazos)]) {
+    for (const [urgencia, dias] of Object.entries(plazos || {})) {
+      if (!URGENCIAS.includes(urgencia)) throw new Error(`Urgencia desconocida en los plazos: "${urgencia}"`);
+      if (!Number.isInteger(dias) || dias < 0) {
+        throw new Error(`El plazo de "${urgencia}" debe ser un número entero de días laborables (≥ 0)`);
+      }
+    }
+  }
+  const horario = config.horario || {};
+  if (horario.fin && !TIME_RE.test(horario.fin)) throw new Error(`Hora de cierre inválida: "${horario.fin}" (HH:MM)`);
+  // RangeError si la zona horaria no existe
+  localParts(new Date(), horario.zona_horaria || "Europe/Madrid");
+  return config;
+}
+
+module.exports = {
+  planFollowUp,
+  validateFollowUpConfig,
+};
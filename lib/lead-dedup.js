@@ -0,0 +1,111 @@
+// lib/lead-dedup.js — deduplicación de leads por email / teléfono contra Odoo
+// (res.partner y crm.lead abiertos) y resumen IA acumulado del lead.
+//
+// El email se compara normalizado (minúsculas, sin espacios) con email_normalized y el
+// teléfono por sus últimos 9 dígitos (número nacional ES/PT sin prefijo) contra
+// phone_sanitized, así "+34 612 34 56 78" y "612345678" son el mismo contacto.
+
+const logger = require("./logger");
+
+function normalizeEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) ? e : "";
+}
+
+// Clave de teléfono: últimos 9 dígitos (número nacional ES/PT sin prefijo)
+function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length < 6) return "";
+  return digits.slice(-9);
+}
+
+// Dominio Odoo con OR de todas las condiciones (notación prefija)
+function orDomain(conditions) {
+  const domain = [];
+  for (let i = 1; i < conditions.length; i++) domain.push("|");
+  return domain.concat(conditions);
+}
+
+function contactConditions(email, phoneKey) {
+  const conditions = [];
+  if (email) conditions.push(["email_normalized", "=", email]);
+  if (phoneKey) conditions.push(["phone_sanitized", "ilike", phoneKey]);
+  return conditions;
+}
+
+// odoo: cliente de lib/odoo.js; leadFields: campos que se leen del lead abierto y
+// extraLeadFields: función async con campos que dependen de Odoo (si lanza, la búsqueda
+// también). Un fallo de Odoo al buscar se registra y cuenta como "sin duplicados".
+function createLeadFinder({ odoo, leadFields, extraLeadFields = async () => [] }) {
+  // Buscar contactos existentes por email / teléfono (res.partner)
+  async function findPartnerIds(email, phoneKey) {
+    const conditions = contactConditions(email, phoneKey);
+    if (!conditions.length) return [];
+
+    try {
+      return await odoo.search("res.partner", orDomain(conditions), { limit: 10 });
+    } catch (err) {
+      logger.error("Odoo: error buscando contactos duplicados", { err });
+      return [];
+    }
+  }
+
+  // Buscar lead/oportunidad abierta (activa y no ganada) del mismo contacto
+  async function findOpenLead(email, phoneKey, partnerIds) {
+    const conditions = contactConditions(email, phoneKey);
+    if (partnerIds && partnerIds.length) {
+      conditions.push(["partner_id", "in", partnerIds]);
+    }
+    if (!conditions.length) return null;
+
+    const domain = [...orDomain(conditions), ["stage_id.is_won", "=", false]];
+    const fields = [...leadFields, ...(await extraLeadFields())];
+
+    try {
+      const found = await odoo.searchRead("crm.lead", domain, {
+        fields,
+        order: "write_date desc",
+        limit: 1,
+      });
+      return found && found.length ? found[0] : null;
+    } catch (err) {
+      logger.error("Odoo: error buscando leads duplicados", { err });
+      return null;
+    }
+  }
+
+  return { findPartnerIds, findOpenLead };
+}
+
+/* =====================================================================
+ *  RESUMEN IA ACUMULADO (x_resumen_ia)
+ * ===================================================================== */
+
+// Cada entrada empieza por "[YYYY-MM-DD · canal]"; un resumen anterior sin cabecera
+// (leads antiguos) cuenta como una entrada
+const SUMMARY_SPLIT_RE = /\n{2,}(?=\[\d{4}-\d{2}-\d{2} · [^\]\n]*\]\n)/;
+const SUMMARY_HEADER_RE = /^\[\d{4}-\d{2}-\d{2} · [^\]\n]*\]\n/;
+
+// Añade el resumen nuevo (con fecha y canal) a los anteriores y deja los últimos
+// `max`. Si el último ya es ese mismo resumen (reintento) no cambia nada.
+function mergeSummaries(previous, resumen, { fecha, canal, max = 5 }) {
+  const texto = String(resumen || "").trim();
+  const entries = String(previous || "").trim()
+    ? String(previous).trim().split(SUMMARY_SPLIT_RE)
+    : [];
+  if (!texto) return entries.join("\n\n");
+
+  const last = entries[entries.length - 1] || "";
+  if (last.replace(SUMMARY_HEADER_RE, "").trim() === texto) return entries.join("\n\n");
+
+  entries.push(`[${fecha} · ${canal || "sin canal"}]\n${texto}`);
+  return entries.slice(-max).join("\n\n");
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  orDomain,
+  createLeadFinder,
+  mergeSummaries,
+};
@@ -0,0 +1,74 @@
+// lib/lead-reprocess.js — reproceso de leads ya guardados en Odoo con el prompt actual:
+// recupera el texto original de la descripción que escribe createOdooLead y calcula
+// qué cambiaría (campos y tags) antes de escribir nada.
+
+const { htmlToText } = require("./email");
+
+// Descripción del lead (texto o HTML de Odoo) → { text, origen, canal, asunto }.
+// Si no tiene el formato "Texto original: …" (lead creado a mano) se usa entera.
+function parseLeadDescription(description) {
+  // Odoo guarda el texto como HTML: cada línea en blanco pasa a ser un <p> nuevo
+  const plain = /<[a-z][^>]*>/i.test(description || "")
+    ? htmlToText(String(description).replace(/<\/p>\s*<p/gi, "</p><br/><p"))
+    : String(description || "").replace(/\r\n/g, "\n").trim();
+
+  const field = (label) => {
+    const m = plain.match(new RegExp(`^${label}:[ \\t]*(.*)$`, "m"));
+    return m ? m[1].trim() : "";
+  };
+
+  const original = plain.match(/^Texto original:[ \t]*\n([\s\S]*?)(?:\n\s*\nResumen IA:|$)/);
+  if (!original) return { text: plain, origen: "", canal: "", asunto: "" };
+
+  return {
+    text: original[1].trim(),
+    origen: field("Origen"),
+    canal: field("Canal"),
+    asunto: field("Asunto"),
+  };
+}
+
+// Todos los nombres de tag que pueden salir de las reglas (los demás no se tocan)
+function ruleTagNames(tagRules) {
+  const names = new Set();
+  const add = (value) => {
+    if (Array.isArray(value)) value.forEach(add);
+    else if (typeof value === "string" && value.trim()) names.add(value.trim());
+  };
+
+  for (const section of ["intencion", "urgencia", "origen", "canal"]) {
+    Object.values(tagRules[section] || {}).forEach(add);
+  }
+  add((tagRules.lead_valido || {}).tag);
+  add(tagRules.revisar_manualmente);
+  return names;
+}
+
+// Tags actuales vs. los que tocarían ahora. Solo se quitan tags de las reglas.
+function diffTags(currentNames, newNames, managed) {
+  const current = new Set(currentNames);
+  const wanted = new Set(newNames);
+  return {
+    añadir: [...wanted].filter((n) => !current.has(n)),
+    quitar: [...current].filter((n) => managed.has(n) && !wanted.has(n)),
+  };
+}
+
+// { campo: { antes, despues } } de los campos que cambian (comparando como texto)
+function diffFields(current, proposed) {
+  const changes = {};
+  for (const [field, value] of Object.entries(proposed)) {
+    const before = current[field] === false || current[field] == null ? "" : current[field];
+    if (String(before).trim() !== String(value).trim()) {
+      changes[field] = { antes: before, despues: value };
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  parseLeadDescription,
+  ruleTagNames,
+  diffTags,
+  diffFields,
+};
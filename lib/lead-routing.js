@@ -0,0 +1,75 @@
+// lib/lead-routing.js — reparto de leads a equipo (crm.team) y comercial (res.users)
+// según país, intención e idioma (reglas en config/lead-routing.json).
+//
+// Regla: { nombre, pais?, intencion?, idioma?, equipo, usuarios? }. Se aplica la
+// primera cuyos criterios casan todos (dentro de cada lista basta uno). Sin
+// "usuarios" se reparte entre los miembros del equipo. El turno del round-robin
+// de cada regla se guarda en stateFile para que sobreviva a los reinicios.
+
+const fs = require("fs");
+const path = require("path");
+
+function normalize(value) {
+  return String(value || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim();
+}
+
+function matchesList(list, value) {
+  if (!list || !list.length) return true;
+  const wanted = normalize(value);
+  return list.some((v) => normalize(v) === wanted);
+}
+
+function createLeadRouter({ rules, stateFile }) {
+  let state = null;
+
+  function loadState() {
+    if (state) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    } catch (_e) {
+      state = {};
+    }
+    return state;
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    const tmp = `${stateFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, stateFile);
+  }
+
+  // Regla que aplica al análisis IA (o la de por defecto, o null)
+  function match(ai) {
+    for (const rule of rules.reglas || []) {
+      if (
+        matchesList(rule.pais, ai.pais) &&
+        matchesList(rule.intencion, ai.intencion) &&
+        matchesList(rule.idioma, ai.idioma)
+      ) {
+        return rule;
+      }
+    }
+    return rules.por_defecto || null;
+  }
+
+  // Siguiente candidato del round-robin de la regla (candidatos ordenados)
+  function next(ruleName, candidates) {
+    if (!candidates.length) return null;
+    const s = loadState();
+    const index = (s[ruleName] || 0) % candidates.length;
+    s[ruleName] = index + 1;
+    persist();
+    return candidates[index];
+  }
+
+  return { match, next };
+}
+
+module.exports = {
+  createLeadRouter,
+};
@@ -0,0 +1,125 @@
+// lib/lead-scoring.js — puntuación 0-100 del lead e ingreso esperado
+// (pesos y valores en config/lead-scoring.json)
+//
+// Cada criterio vale entre 0 y 1 y se multiplica por su peso; la suma se
+// normaliza a 0-100 aunque los pesos no sumen exactamente 100.
+// La configuración pasa una vez por validateScoringConfig (al arrancar): compila los
+// patrones de cantidad / plazo y exige precio para las intenciones de venta.
+
+const CRITERIOS = ["intencion", "urgencia", "cantidad", "plazo", "pais"];
+// Intenciones que son una venta (las que deben tener precio para el ingreso esperado)
+const INTENCIONES_VENTA = ["maquina", "ambos", "operador", "pizzas"];
+
+function stripAccents(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function normalizeText(value) {
+  return stripAccents(value).toLowerCase().trim();
+}
+
+// Valor de un mapa { clave: valor, _fallback } (claves sin tildes ni mayúsculas)
+function lookup(map, key) {
+  const wanted = normalizeText(key);
+  for (const [k, v] of Object.entries(map || {})) {
+    if (k !== "_fallback" && normalizeText(k) === wanted) return v;
+  }
+  return (map && map._fallback) || 0;
+}
+
+// Primera regla [{ re, valor }] (compilada por compileRules; re null = cualquiera) que
+// casa con el texto sin tildes
+function matchRules(rules, text) {
+  const value = normalizeText(text);
+  for (const rule of rules || []) {
+    if (!rule.re || rule.re.test(value)) return rule.valor;
+  }
+  return 0;
+}
+
+// [{ patron, valor }] → [{ patron, re, valor }]. Al patrón solo se le quitan las tildes
+// (igual que al texto); las mayúsculas las resuelve la "i", así \D o \W siguen siendo lo que son.
+function compileRules(criterio, rules) {
+  if (!Array.isArray(rules)) throw new Error(`Puntuación: "${criterio}" debe ser una lista de reglas`);
+  return rules.map((rule, i) => {
+    let re = null;
+    if (rule.patron) {
+      try {
+        re = new RegExp(stripAccents(rule.patron), "i");
+      } catch (err) {
+        throw new Error(`Puntuación: patrón inválido en ${criterio}[${i}] "${rule.patron}": ${err.message}`);
+      }
+    }
+    return { ...rule, re };
+  });
+}
+
+// "3 máquinas" → 3, "varias" → 2, resto → 1
+function estimateUnits(cantidad, maxUnits) {
+  const text = normalizeText(cantidad);
+  const num = text.match(/\d+/);
+  let units = 1;
+  if (num) units = Number(num[0]) || 1;
+  else if (/varias|varios|muchas|several|plusieurs/.test(text)) units = 2;
+  return Math.min(units, maxUnits || units);
+}
+
+// Devuelve { score, desglose: { criterio: puntos }, expected_revenue }
+function scoreLead(ai, rules) {
+  const datos = ai.datos_detectados || {};
+  const pesos = rules.pesos || {};
+
+  const factores = {
+    intencion: lookup(rules.intencion, ai.intencion),
+    urgencia: lookup(rules.urgencia, ai.urgencia),
+    cantidad: matchRules(rules.cantidad, datos.cantidad),
+    plazo: matchRules(rules.plazo, datos.plazo),
+    pais: lookup(rules.pais, ai.pais),
+  };
+
+  const totalPesos = CRITERIOS.reduce((sum, c) => sum + (Number(pesos[c]) || 0), 0);
+  const desglose = {};
+  let puntos = 0;
+  for (const c of CRITERIOS) {
+    const p = (Number(pesos[c]) || 0) * Math.min(Math.max(Number(factores[c]) || 0, 0), 1);
+    desglose[c] = Math.round(p * 10) / 10;
+    puntos += p;
+  }
+  const score = totalPesos ? Math.round((puntos / totalPesos) * 100) : 0;
+
+  const ingreso = rules.ingreso_esperado || {};
+  const porUnidad = ingreso.activo === false ? 0 : Number(lookup(ingreso.por_unidad, ai.intencion)) || 0;
+  const expected_revenue = porUnidad * estimateUnits(datos.cantidad, ingreso.max_unidades);
+
+  return { score, desglose, expected_revenue };
+}
+
+// Lanza si la configuración no es válida (para verlo al arrancar): patrones que no
+// compilan o intenciones de venta sin precio en ingreso_esperado.por_unidad (salvo
+// "activo": false, que desactiva el ingreso esperado a propósito). Devuelve la
+// configuración con los patrones compilados, que es la que usa scoreLead.
+function validateScoringConfig(rules) {
+  const ingreso = rules.ingreso_esperado || {};
+  if (ingreso.activo !== false) {
+    const porUnidad = ingreso.por_unidad || {};
+    const sinPrecio = INTENCIONES_VENTA.filter((i) => !(Number(lookup(porUnidad, i)) > 0));
+    if (sinPrecio.length) {
+      throw new Error(
+        `Puntuación: falta el precio por unidad de ${sinPrecio.join(", ")} en ingreso_esperado.por_unidad ` +
+          '(o "activo": false para no calcular el ingreso esperado)'
+      );
+    }
+  }
+  return {
+    ...rules,
+    cantidad: compileRules("cantidad", rules.cantidad || []),
+    plazo: compileRules("plazo", rules.plazo || []),
+  };
+}
+
+module.exports = {
+  scoreLead,
+  validateScoringConfig,
+};
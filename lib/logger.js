@@ -0,0 +1,77 @@
+// lib/logger.js — logs estructurados (una línea JSON por evento) con contexto por petición
+//
+// withContext({ request_id }) guarda el contexto en AsyncLocalStorage: todo lo que se
+// loguee dentro (IA, Odoo, outbox…) lleva el mismo request_id sin pasarlo a mano.
+// LOG_LEVEL: debug | info (defecto) | warn | error. LOG_FORMAT=text para leerlos en local.
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "").toLowerCase()] || LEVELS.info;
+const TEXT_FORMAT = process.env.LOG_FORMAT === "text";
+
+const storage = new AsyncLocalStorage();
+
+// Ejecuta fn con el contexto indicado (se suma al contexto actual)
+function withContext(fields, fn) {
+  return storage.run({ ...context(), ...fields }, fn);
+}
+
+function context() {
+  return storage.getStore() || {};
+}
+
+// Añade campos al contexto actual (p.ej. client tras autenticar)
+function addContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// { err } → error / error_name / error_kind (sin volcar objetos enormes)
+function serializeFields(fields) {
+  if (!fields) return {};
+  const { err, ...rest } = fields;
+  if (!err) return rest;
+  return {
+    ...rest,
+    error: err.message || String(err),
+    error_name: err.name && err.name !== "Error" ? err.name : undefined,
+    error_kind: err.kind,
+    stack: MIN_LEVEL <= LEVELS.debug ? err.stack : undefined,
+  };
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context(),
+    ...serializeFields(fields),
+  };
+
+  let line;
+  if (TEXT_FORMAT) {
+    const { time, level: lvl, msg: text, ...extra } = entry;
+    const pairs = Object.entries(extra)
+      .filter(([, v]) => v !== undefined)
+      .map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+    line = `${time} ${lvl.toUpperCase()} ${text}${pairs.length ? ` ${pairs.join(" ")}` : ""}`;
+  } else {
+    line = JSON.stringify(entry);
+  }
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+module.exports = {
+  withContext,
+  context,
+  addContext,
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
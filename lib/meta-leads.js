@@ -0,0 +1,122 @@
+// lib/meta-leads.js — Lead Ads de Facebook/Instagram (eventos "leadgen" de la Graph API)
+//
+// El webhook solo trae los ids (leadgen_id, form_id, ad_id…); las respuestas del
+// formulario se piden a la Graph API con el token de la página.
+
+const GRAPH_TIMEOUT_MS = 15000;
+
+const LEAD_FIELDS = [
+  "created_time",
+  "field_data",
+  "form_id",
+  "ad_id",
+  "ad_name",
+  "adset_id",
+  "adset_name",
+  "campaign_id",
+  "campaign_name",
+  "platform",
+].join(",");
+
+// Extrae los eventos leadgen: entry[].changes[] con field === "leadgen"
+function parseLeadgenEvents(payload) {
+  const out = [];
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.field !== "leadgen" || !change.value) continue;
+      const v = change.value;
+      out.push({
+        leadgen_id: String(v.leadgen_id || ""),
+        page_id: String(v.page_id || entry.id || ""),
+        form_id: v.form_id ? String(v.form_id) : "",
+        ad_id: v.ad_id ? String(v.ad_id) : "",
+        adgroup_id: v.adgroup_id ? String(v.adgroup_id) : "",
+        created_time: v.created_time || null,
+      });
+    }
+  }
+  return out.filter((e) => e.leadgen_id);
+}
+
+async function fetchLeadDetails(leadgenId, { accessToken, graphVersion }) {
+  if (!accessToken) {
+    throw new Error("Falta la variable de entorno META_PAGE_ACCESS_TOKEN");
+  }
+
+  const url =
+    `https://graph.facebook.com/${graphVersion}/${encodeURIComponent(leadgenId)}` +
+    `?fields=${LEAD_FIELDS}&access_token=${encodeURIComponent(accessToken)}`;
+
+  let resp;
+  try {
+    resp = await fetch(url, { signal: AbortSignal.timeout(GRAPH_TIMEOUT_MS) });
+  } catch (err) {
+    if (err.name === "TimeoutError" || err.name === "AbortError") {
+      throw new Error(`Timeout Graph API tras ${GRAPH_TIMEOUT_MS}ms`);
+    }
+    throw err;
+  }
+
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok || data.error) {
+    const msg = (data.error && data.error.message) || `HTTP ${resp.status}`;
+    const err = new Error(`Error Graph API leadgen ${leadgenId}: ${msg}`);
+    // 4xx (token inválido, lead inexistente…) no se arregla reintentando
+    err.permanent = resp.status >= 400 && resp.status < 500 && resp.status !== 429;
+    throw err;
+  }
+
+  return data;
+}
+
+// Nombres habituales de los campos estándar de los formularios de Meta
+const NAME_FIELDS = ["full_name", "nombre_completo", "nombre", "name"];
+const FIRST_NAME_FIELDS = ["first_name", "nombre"];
+const LAST_NAME_FIELDS = ["last_name", "apellidos"];
+const EMAIL_FIELDS = ["email", "correo_electrónico", "correo"];
+const PHONE_FIELDS = ["phone_number", "phone", "teléfono", "telefono"];
+const COMPANY_FIELDS = ["company_name", "empresa", "nombre_de_la_empresa"];
+
+// field_data → { nombre, email, phone, empresa, text } (el resto de respuestas va al texto)
+function mapLeadFields(fieldData) {
+  const values = {};
+  for (const f of fieldData || []) {
+    values[String(f.name || "").toLowerCase()] = (f.values || []).join(", ");
+  }
+
+  const pick = (names) => {
+    for (const n of names) if (values[n]) return values[n];
+    return "";
+  };
+  const used = new Set([
+    ...NAME_FIELDS,
+    ...FIRST_NAME_FIELDS,
+    ...LAST_NAME_FIELDS,
+    ...EMAIL_FIELDS,
+    ...PHONE_FIELDS,
+    ...COMPANY_FIELDS,
+  ]);
+
+  const nombre =
+    pick(NAME_FIELDS) ||
+    [pick(FIRST_NAME_FIELDS), pick(LAST_NAME_FIELDS)].filter(Boolean).join(" ");
+
+  // Preguntas personalizadas: "pregunta: respuesta" por línea
+  const answers = Object.entries(values)
+    .filter(([name, value]) => value && !used.has(name))
+    .map(([name, value]) => `${name.replace(/_/g, " ")}: ${value}`);
+
+  return {
+    nombre,
+    email: pick(EMAIL_FIELDS),
+    phone: pick(PHONE_FIELDS),
+    empresa: pick(COMPANY_FIELDS),
+    text: answers.join("\n"),
+  };
+}
+
+module.exports = {
+  parseLeadgenEvents,
+  fetchLeadDetails,
+  mapLeadFields,
+};
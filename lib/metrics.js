@@ -0,0 +1,108 @@
+// lib/metrics.js — métricas en memoria y exposición en formato texto de Prometheus
+// (contadores, histogramas y gauges calculados al vuelo). Sin dependencias.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+// Etiquetas en el orden declarado; las que falten quedan como ""
+function pickLabels(labelNames, labels = {}) {
+  const out = {};
+  for (const name of labelNames) out[name] = labels[name] === undefined ? "" : labels[name];
+  return out;
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    metrics.push({
+      name,
+      help,
+      type: "counter",
+      lines: () =>
+        [...values.values()].map((v) => `${name}${formatLabels(v.labels)} ${v.value}`),
+    });
+
+    return {
+      inc(labels, amount = 1) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = values.get(key) || { labels: picked, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const values = new Map();
+    metrics.push({
+      name,
+      help,
+      type: "histogram",
+      lines: () => {
+        const out = [];
+        for (const v of values.values()) {
+          buckets.forEach((b, i) => {
+            out.push(`${name}_bucket${formatLabels({ ...v.labels, le: b })} ${v.counts[i]}`);
+          });
+          out.push(`${name}_bucket${formatLabels({ ...v.labels, le: "+Inf" })} ${v.count}`);
+          out.push(`${name}_sum${formatLabels(v.labels)} ${v.sum}`);
+          out.push(`${name}_count${formatLabels(v.labels)} ${v.count}`);
+        }
+        return out;
+      },
+    });
+
+    return {
+      observe(labels, seconds) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry =
+          values.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((b, i) => {
+          if (seconds <= b) entry.counts[i] += 1;
+        });
+        entry.sum += seconds;
+        entry.count += 1;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  // collect() → [{ labels, value }] (se calcula en cada scrape)
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: "gauge",
+      lines: () => collect().map((v) => `${name}${formatLabels(v.labels || {})} ${v.value}`),
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.lines());
+    }
+    return `${out.join("\n")}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = {
+  createMetrics,
+};
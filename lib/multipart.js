@@ -0,0 +1,70 @@
+// lib/multipart.js — lectura de multipart/form-data (busboy) a campos y ficheros en memoria
+
+const Busboy = require("busboy");
+
+// Campo o fichero por encima del límite: se rechaza entero (err.status = 413) en vez de
+// seguir con el contenido truncado
+function tooLargeError(what, limitBytes) {
+  const err = new Error(`${what} supera el límite de ${limitBytes} bytes`);
+  err.status = 413;
+  return err;
+}
+
+// Devuelve { fields, files } con files[name] = { filename, mimeType, data: Buffer }.
+// keepFiles=false descarta los adjuntos (solo interesan los campos de texto).
+function readMultipart(req, { limitBytes, keepFiles = false }) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const files = {};
+    let bb;
+    try {
+      bb = Busboy({
+        headers: req.headers,
+        limits: { fieldSize: limitBytes, fileSize: limitBytes },
+      });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      // Se deja de procesar pero se consume el resto para poder responder
+      req.unpipe(bb);
+      req.resume();
+      reject(err);
+    };
+
+    bb.on("field", (name, value, info) => {
+      if (info.valueTruncated) return fail(tooLargeError(`Campo "${name}"`, limitBytes));
+      fields[name] = value;
+    });
+
+    bb.on("file", (name, stream, info) => {
+      if (!keepFiles) {
+        stream.resume();
+        return;
+      }
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("limit", () => fail(tooLargeError(`Fichero "${info.filename}"`, limitBytes)));
+      stream.on("end", () => {
+        files[name] = {
+          filename: info.filename,
+          mimeType: info.mimeType,
+          data: Buffer.concat(chunks),
+        };
+      });
+    });
+
+    bb.on("error", fail);
+    bb.on("close", () => {
+      if (!failed) resolve({ fields, files });
+    });
+    req.pipe(bb);
+  });
+}
+
+module.exports = { readMultipart };
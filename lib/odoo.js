@@ -0,0 +1,313 @@
+// lib/odoo.js — cliente JSON-RPC de Odoo (/jsonrpc): autenticación con API key,
+// timeout por llamada, reintentos en errores transitorios y re-autenticación
+// automática si Odoo rechaza el uid (clave rotada, sesión caducada…).
+//
+// Los fallos se lanzan como OdooError con los datos del "fault" de Odoo:
+//   { "error": { "code": 200, "message": "Odoo Server Error",
+//                "data": { "name": "odoo.exceptions.ValidationError", "message": "…", "debug": "…" } } }
+
+const logger = require("./logger");
+
+// Métodos de solo lectura: se pueden reintentar siempre sin riesgo de duplicar
+const READ_METHODS = new Set([
+  "search",
+  "search_read",
+  "search_count",
+  "read",
+  "fields_get",
+  "name_search",
+]);
+
+// Clase de excepción de Odoo → tipo de error
+const FAULT_KINDS = {
+  "odoo.exceptions.AccessDenied": "access_denied",
+  "odoo.exceptions.AccessError": "access_error",
+  "odoo.exceptions.ValidationError": "validation",
+  "odoo.exceptions.UserError": "user_error",
+  "odoo.exceptions.MissingError": "missing",
+  "odoo.exceptions.RedirectWarning": "user_error",
+  "odoo.http.SessionExpiredException": "access_denied",
+  "psycopg2.errors.SerializationFailure": "concurrency",
+  "psycopg2.extensions.TransactionRollbackError": "concurrency",
+};
+
+// Tipos que no se arreglan reintentando (el outbox los pasa directamente a dead)
+const PERMANENT_KINDS = new Set(["access_error", "validation", "user_error", "missing", "value_error"]);
+
+const TRANSIENT_HTTP = new Set([429, 502, 503, 504]);
+
+class OdooError extends Error {
+  // kind: access_denied | access_error | validation | user_error | missing | value_error |
+  //       concurrency | server | http | timeout | network | config | invalid_response
+  constructor(message, { kind, code, faultName, faultMessage, debug, httpStatus, model, method } = {}) {
+    super(message);
+    this.name = "OdooError";
+    this.kind = kind || "server";
+    this.code = code ?? null;
+    this.faultName = faultName || null;
+    this.faultMessage = faultMessage || null;
+    this.debug = debug || null;
+    this.httpStatus = httpStatus ?? null;
+    this.model = model || null;
+    this.method = method || null;
+    this.permanent = PERMANENT_KINDS.has(this.kind);
+  }
+
+  // Se puede repetir la llamada: nunca llegó a Odoo o Odoo deshizo la transacción.
+  // Timeouts y errores de servidor solo en lecturas (una escritura pudo aplicarse).
+  isRetryable(readOnly) {
+    if (["network", "concurrency"].includes(this.kind)) return true;
+    if (this.kind === "http") return TRANSIENT_HTTP.has(this.httpStatus);
+    if (this.kind === "timeout") return readOnly;
+    return false;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      kind: this.kind,
+      message: this.message,
+      code: this.code,
+      fault_name: this.faultName,
+      fault_message: this.faultMessage,
+      http_status: this.httpStatus,
+      model: this.model,
+      method: this.method,
+    };
+  }
+}
+
+// { error: { code, message, data: { name, message, debug } } } → OdooError
+function faultToError(error, { model, method }) {
+  const data = error.data || {};
+  const faultName = data.name || "";
+  const faultMessage = data.message || error.message || JSON.stringify(error);
+  let kind = FAULT_KINDS[faultName];
+  if (!kind && /ValueError|KeyError|Invalid field/i.test(`${faultName} ${faultMessage}`)) {
+    kind = "value_error";
+  }
+  if (!kind && (error.code === 100 || /session expired/i.test(faultMessage))) {
+    kind = "access_denied";
+  }
+  if (!kind && /could not serialize access/i.test(faultMessage)) kind = "concurrency";
+
+  const target = model ? `${model}.${method}` : method;
+  return new OdooError(`Odoo error ${target}: ${faultMessage}`, {
+    kind: kind || "server",
+    code: error.code,
+    faultName,
+    faultMessage,
+    debug: data.debug,
+    model,
+    method,
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createOdooClient({
+  baseUrl,
+  db,
+  login,
+  apiKey,
+  timeoutMs = 15000,
+  retries = 2,
+  retryDelayMs = 500,
+  onCall = null,
+}) {
+  let uid = null;
+  let authenticating = null;
+  let rpcId = 1;
+
+  function isConfigured() {
+    return Boolean(baseUrl && db && login && apiKey);
+  }
+
+  // POST /jsonrpc midiendo la duración; onCall({ model, method, seconds, error }) para métricas
+  async function rpc(service, method, args, info = {}) {
+    const started = process.hrtime.bigint();
+    let error = null;
+    try {
+      return await rawRpc(service, method, args, info);
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      if (onCall) {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        onCall({ model: info.model || "", method: info.method || method, seconds, error });
+      }
+    }
+  }
+
+  // POST /jsonrpc: devuelve data.result o lanza OdooError
+  async function rawRpc(service, method, args, { model, method: modelMethod } = {}) {
+    const info = { model, method: modelMethod || method };
+    const body = {
+      jsonrpc: "2.0",
+      method: "call",
+      params: { service, method, args },
+      id: rpcId++,
+    };
+
+    let resp;
+    try {
+      resp = await fetch(`${baseUrl}/jsonrpc`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      const timeout = err.name === "TimeoutError" || err.name === "AbortError";
+      throw new OdooError(
+        timeout
+          ? `Timeout Odoo ${model ? `${model}.` : ""}${info.method} tras ${timeoutMs}ms`
+          : `Error de red con Odoo: ${(err.cause && err.cause.message) || err.message}`,
+        { kind: timeout ? "timeout" : "network", ...info }
+      );
+    }
+
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => "");
+      throw new OdooError(
+        `Error Odoo ${model ? `${model}.` : ""}${info.method}: HTTP ${resp.status} ${text.slice(0, 300)}`,
+        { kind: "http", httpStatus: resp.status, ...info }
+      );
+    }
+
+    let data;
+    try {
+      data = await resp.json();
+    } catch (_e) {
+      throw new OdooError("Odoo devolvió una respuesta que no es JSON", {
+        kind: "invalid_response",
+        httpStatus: resp.status,
+        ...info,
+      });
+    }
+
+    if (data.error) throw faultToError(data.error, info);
+    return data.result;
+  }
+
+  // uid en caché; las llamadas simultáneas comparten la misma autenticación
+  async function authenticate() {
+    if (uid) return uid;
+    if (!isConfigured()) {
+      throw new OdooError("Faltan variables Odoo (BASE_URL, DB, USER_EMAIL, API_KEY)", {
+        kind: "config",
+      });
+    }
+
+    if (!authenticating) {
+      authenticating = rpc("common", "authenticate", [db, login, apiKey, {}])
+        .then((result) => {
+          if (!result) {
+            throw new OdooError("Autenticación Odoo fallida (uid vacío)", {
+              kind: "access_denied",
+              method: "authenticate",
+            });
+          }
+          uid = result;
+          return uid;
+        })
+        .finally(() => {
+          authenticating = null;
+        });
+    }
+    return authenticating;
+  }
+
+  // Olvida el uid: la siguiente llamada vuelve a autenticar
+  function resetAuth() {
+    uid = null;
+  }
+
+  // execute_kw con reintentos y una re-autenticación si Odoo rechaza el uid
+  async function executeKw(model, method, args = [], kwargs = {}) {
+    const readOnly = READ_METHODS.has(method);
+    let reauthenticated = false;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const currentUid = await authenticate();
+        return await rpc("object", "execute_kw", [db, currentUid, apiKey, model, method, args, kwargs], {
+          model,
+          method,
+        });
+      } catch (err) {
+        if (!(err instanceof OdooError)) throw err;
+
+        if (err.kind === "access_denied" && uid && !reauthenticated) {
+          logger.warn("Odoo: acceso denegado, reautenticando", { model, method });
+          resetAuth();
+          reauthenticated = true;
+          attempt--;
+          continue;
+        }
+
+        if (attempt >= retries || !err.isRetryable(readOnly)) throw err;
+
+        const delay = retryDelayMs * 2 ** attempt;
+        logger.warn("Odoo: llamada fallida, se reintenta", {
+          model,
+          method,
+          attempt: attempt + 1,
+          retries,
+          delay_ms: delay,
+          err,
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Helpers por método (kwargs opcionales: limit, offset, order, fields, context…)
+  function search(model, domain, options = {}) {
+    return executeKw(model, "search", [domain], options);
+  }
+
+  function searchRead(model, domain, options = {}) {
+    return executeKw(model, "search_read", [domain], options);
+  }
+
+  function read(model, ids, fields) {
+    return executeKw(model, "read", [ids], fields ? { fields } : {});
+  }
+
+  async function create(model, vals) {
+    const id = await executeKw(model, "create", [vals]);
+    if (typeof id !== "number") {
+      throw new OdooError(`Odoo no devolvió un ID numérico al crear ${model}`, {
+        kind: "invalid_response",
+        model,
+        method: "create",
+      });
+    }
+    return id;
+  }
+
+  function write(model, ids, vals) {
+    return executeKw(model, "write", [ids, vals]);
+  }
+
+  return {
+    isConfigured,
+    authenticate,
+    resetAuth,
+    executeKw,
+    search,
+    searchRead,
+    read,
+    create,
+    write,
+  };
+}
+
+module.exports = {
+  createOdooClient,
+  OdooError,
+};
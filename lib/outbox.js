@@ -0,0 +1,224 @@
+// lib/outbox.js — cola persistente en fichero (outbox) con reintentos y dead-letter
+//
+// Cada payload entrante se guarda ANTES de procesarlo. Si el proceso falla
+// (IA u Odoo caídos) se reintenta con backoff exponencial; cuando se agotan
+// los intentos, el item pasa a "dead" y queda ahí hasta que un admin lo
+// reintente o lo descarte.
+//
+// Estados: pending → processing → (borrado al terminar bien) | pending | dead
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+
+function createOutbox(options) {
+  const {
+    file,
+    maxAttempts = 8,
+    backoffMs = 30000,
+    maxBackoffMs = 60 * 60 * 1000,
+    pollMs = 15000,
+  } = options;
+
+  const handlers = {};
+  const items = new Map();
+  let timer = null;
+  let running = false;
+
+  /* ---------- persistencia (escritura atómica: tmp + rename) ---------- */
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const item of data.items || []) {
+      // Un "processing" al arrancar es un proceso que murió a medias
+      if (item.status === "processing") item.status = "pending";
+      items.set(item.id, item);
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify({ items: Array.from(items.values()) }, null, 2)
+    );
+    fs.renameSync(tmp, file);
+  }
+
+  function nextDelay(attempts) {
+    return Math.min(backoffMs * 2 ** Math.max(attempts - 1, 0), maxBackoffMs);
+  }
+
+  /* ---------- API ---------- */
+
+  // Registrar la función que procesa un tipo de item: async (item) => result
+  function register(kind, handler) {
+    handlers[kind] = handler;
+  }
+
+  function enqueue(kind, payload, meta = {}) {
+    const now = new Date().toISOString();
+    const item = {
+      id: crypto.randomUUID(),
+      kind,
+      payload,
+      meta,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: now,
+      last_error: null,
+      created_at: now,
+      updated_at: now,
+    };
+    items.set(item.id, item);
+    persist();
+    return item;
+  }
+
+  // Guardar progreso parcial de un item (p.ej. el análisis IA ya hecho)
+  function update(item) {
+    item.updated_at = new Date().toISOString();
+    items.set(item.id, item);
+    persist();
+  }
+
+  // Procesar un item ahora. Devuelve { ok, result } o { ok: false, error, item }
+  async function processItem(id) {
+    const item = items.get(id);
+    if (!item) throw new Error(`Item de outbox no encontrado: ${id}`);
+    if (item.status === "processing") {
+      return { ok: false, error: new Error("El item ya se está procesando"), item };
+    }
+
+    const handler = handlers[item.kind];
+    if (!handler) throw new Error(`Sin handler para items "${item.kind}"`);
+
+    item.status = "processing";
+    item.attempts += 1;
+    update(item);
+
+    try {
+      const result = await handler(item);
+      items.delete(item.id);
+      persist();
+      return { ok: true, result };
+    } catch (err) {
+      item.last_error = err.message;
+      if (err.permanent || item.attempts >= maxAttempts) {
+        item.status = "dead";
+        item.next_attempt_at = null;
+        logger.error("Outbox: item a dead-letter", {
+          outbox_id: item.id,
+          kind: item.kind,
+          attempts: item.attempts,
+          err,
+        });
+      } else {
+        item.status = "pending";
+        item.next_attempt_at = new Date(
+          Date.now() + nextDelay(item.attempts)
+        ).toISOString();
+        logger.warn("Outbox: item fallido, se reintentará", {
+          outbox_id: item.id,
+          kind: item.kind,
+          attempts: item.attempts,
+          max_attempts: maxAttempts,
+          next_attempt_at: item.next_attempt_at,
+          err,
+        });
+      }
+      update(item);
+      return { ok: false, error: err, item };
+    }
+  }
+
+  // Procesa los items pendientes cuyo reintento ya toca (de uno en uno)
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const due = Array.from(items.values()).filter(
+        (i) => i.status === "pending" && Date.parse(i.next_attempt_at) <= now
+      );
+      for (const item of due) {
+        if (items.get(item.id)?.status !== "pending") continue;
+        await processItem(item.id).catch((err) =>
+          logger.error("Outbox: error procesando item", { outbox_id: item.id, err })
+        );
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    load();
+    if (timer) return;
+    timer = setInterval(() => {
+      tick();
+    }, pollMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function list(status) {
+    return Array.from(items.values())
+      .filter((i) => !status || i.status === status)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  function get(id) {
+    return items.get(id) || null;
+  }
+
+  // Volver a poner en cola (también los "dead"), con intentos a cero
+  function retry(id) {
+    const item = items.get(id);
+    if (!item) return null;
+    if (item.status === "processing") return item;
+    item.status = "pending";
+    item.attempts = 0;
+    item.next_attempt_at = new Date().toISOString();
+    update(item);
+    return item;
+  }
+
+  function discard(id) {
+    const item = items.get(id);
+    if (!item || item.status === "processing") return null;
+    items.delete(id);
+    persist();
+    return item;
+  }
+
+  function stats() {
+    const counts = { pending: 0, processing: 0, dead: 0 };
+    for (const item of items.values()) counts[item.status] += 1;
+    return counts;
+  }
+
+  return {
+    register,
+    enqueue,
+    update,
+    processItem,
+    tick,
+    start,
+    stop,
+    list,
+    get,
+    retry,
+    discard,
+    stats,
+  };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,197 @@
+// lib/pii.js — datos personales (emails, teléfonos, IBAN, DNI/NIE/NIF, direcciones, nombre)
+//
+// - maskPII / maskDeep: enmascarado irreversible para guardar trazas
+//   ("ana.perez@bar.es" → "an***@bar.es", "+34 612 345 678" → "***678").
+// - createRedactor: sustitución por marcadores ([EMAIL_1], [DIRECCION_1]…) antes de
+//   mandar el texto a la IA, con restore() para recuperar los valores en la respuesta.
+//   El nombre no se detecta por patrón: se conoce (campo nombre) y se registra con
+//   redactValue() antes de redactar el texto, que lo sustituye donde aparezca.
+
+const EMAIL_RE = /([A-Za-z0-9._%+-]+)@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const IBAN_RE = /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){3,7}(?:\s?[A-Z0-9]{1,4})?\b/g;
+const DNI_RE = /\b[XYZ]?\d{7,8}-?[A-HJ-NP-TV-Z]\b/gi;
+// Teléfonos con forma de teléfono (no cualquier tira de dígitos: fechas, importes o ids
+// de Odoo se quedan como están). Separadores: un espacio, punto o guion entre dígitos.
+//   internacional: +34 / 0034 / +351… y 8-12 dígitos ("+34 612 345 678", "+33 (0)6 12 34 56 78")
+//   nacional ES/PT: 9 dígitos que empiezan por 6, 7, 8 o 9 ("612 34 56 78", "912-345-678")
+//   nacional FR:    0 + 9 dígitos en parejas ("06 12 34 56 78")
+const PHONE_RE = new RegExp(
+  [
+    "(?<![\\w+])(?:\\+|00)[1-9]\\d{0,2}[\\s.-]?(?:\\(0\\)[\\s.-]?)?\\d(?:[\\s.-]?\\d){7,11}(?![\\w])",
+    "(?<![\\w+.,-])[6789](?:[\\s.-]?\\d){8}(?![\\w.,-]?\\d)",
+    "(?<![\\w+.,-])0[1-9](?:[\\s.-]?\\d{2}){4}(?![\\w.,-]?\\d)",
+  ].join("|"),
+  "g"
+);
+
+function maskEmail(_m, user, domain) {
+  return `${user.slice(0, 2)}***@${domain}`;
+}
+
+function maskPhone(match) {
+  const digits = match.replace(/\D/g, "");
+  if (digits.length < 9 || digits.length > 15) return match;
+  return `***${digits.slice(-3)}`;
+}
+
+function maskPII(text) {
+  if (typeof text !== "string" || !text) return text;
+  return text
+    .replace(EMAIL_RE, maskEmail)
+    .replace(IBAN_RE, (m) => `${m.slice(0, 4)}****${m.replace(/\s/g, "").slice(-4)}`)
+    .replace(DNI_RE, (m) => `***${m.slice(-2)}`)
+    .replace(PHONE_RE, maskPhone);
+}
+
+// Aplica fn a todos los strings de un objeto/array (copia). skipKey(clave): campos que
+// se copian tal cual.
+function mapStrings(value, fn, skipKey = () => false) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapStrings(v, fn, skipKey));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = skipKey(k) ? v : mapStrings(v, fn, skipKey);
+    return out;
+  }
+  return value;
+}
+
+// Campos numéricos de las trazas (ids de Odoo, fechas, importes, puntuación): nunca
+// son datos personales y enmascararlos deja la traza inservible
+const NUMERIC_KEY_RE =
+  /^(?:ids?|res_id|fila|score|priority|expected_revenue|importe|precio|fecha|date|ts)$|_(?:ids?|at|date|fecha|count)$/i;
+
+// Aplica maskPII a todos los strings de un objeto/array (copia); los números y los
+// campos numéricos se dejan como están
+function maskDeep(value) {
+  return mapStrings(value, maskPII, (key) => NUMERIC_KEY_RE.test(key));
+}
+
+/* =====================================================================
+ *  REDACCIÓN CON MARCADORES (antes de llamar a la IA)
+ * ===================================================================== */
+
+// NIF de empresa (CIF): letra + 7 dígitos + control
+const NIF_RE = /\b[ABCDEFGHJNPQRSUVW]-?\d{7}-?[0-9A-J]\b/g;
+const LETTERS = "A-Za-zÀ-ÿ";
+// Vía + nombre + número: "C/ Mayor 5, 2º B", "Avda. de la Constitución nº 12", "Rua Augusta 120"
+const STREET_TYPES =
+  "calle|c\\/|avenida|avda\\.?|av\\.|plaza|pza\\.?|plaça|paseo|passeig|pg\\.|camino|carretera|ctra\\.?|travesía|carrer|rua|travessa|estrada";
+const ADDRESS_RE = new RegExp(
+  `(?<![${LETTERS}])(?:${STREET_TYPES})(?![${LETTERS}])\\s*[${LETTERS}0-9'ºª. -]{2,40}?,?\\s*(?:n[º°o]?\\.?\\s*)?\\d{1,4}(?:\\s?[A-Za-z](?![${LETTERS}]))?(?:,?\\s*\\d{1,2}\\s?[ºª]\\s?[A-Za-z0-9]?)?`,
+  "gi"
+);
+// Formato francés/inglés, número delante: "12 rue de la Paix", "221 Baker Street"
+const ADDRESS_NUMBER_FIRST_RE = new RegExp(
+  `\\b\\d{1,4}(?:\\s?bis)?,?\\s+(?:rue|avenue|boulevard|bd|chemin|place|allée|impasse|quai)\\s+[${LETTERS}' -]{2,40}|\\b\\d{1,4}\\s+[A-Z][${LETTERS}]+(?:\\s[A-Z][${LETTERS}]+)?\\s(?:Street|St\\.|Road|Rd\\.|Avenue|Ave\\.|Lane)`,
+  "g"
+);
+
+// Tipo → marcador y patrones. El orden importa: los emails y los IBAN contienen
+// dígitos que, si no, se tomarían por teléfonos. Los tipos sin patrones solo se
+// sustituyen con los valores registrados por redactValue().
+const REDACTION_TYPES = {
+  nombre: { label: "NOMBRE", patterns: [] },
+  email: { label: "EMAIL", patterns: [EMAIL_RE] },
+  iban: { label: "IBAN", patterns: [IBAN_RE] },
+  documento: { label: "DOCUMENTO", patterns: [DNI_RE, NIF_RE] },
+  direccion: { label: "DIRECCION", patterns: [ADDRESS_RE, ADDRESS_NUMBER_FIRST_RE] },
+  telefono: { label: "TELEFONO", patterns: [PHONE_RE], accept: (m) => maskPhone(m) !== m },
+};
+const PII_TYPES = Object.keys(REDACTION_TYPES);
+const PLACEHOLDER_RE = new RegExp(
+  `\\[(?:${PII_TYPES.map((t) => REDACTION_TYPES[t].label).join("|")})_\\d+\\]`,
+  "g"
+);
+
+// types: tipos a sustituir (subconjunto de PII_TYPES). Un mismo valor recibe siempre
+// el mismo marcador, también entre campos distintos (texto, email, asunto…).
+function createRedactor(types = PII_TYPES) {
+  for (const type of types) {
+    if (!REDACTION_TYPES[type]) {
+      throw new Error(`Tipo de dato personal desconocido "${type}" (opciones: ${PII_TYPES.join(", ")})`);
+    }
+  }
+  const active = PII_TYPES.filter((t) => types.includes(t));
+  const entities = []; // { type, placeholder, value }
+
+  function placeholderFor(type, value) {
+    const found = entities.find((e) => e.type === type && e.value === value);
+    if (found) return found.placeholder;
+    const n = entities.filter((e) => e.type === type).length + 1;
+    const placeholder = `[${REDACTION_TYPES[type].label}_${n}]`;
+    entities.push({ type, placeholder, value });
+    return placeholder;
+  }
+
+  // Valor conocido (p. ej. el nombre del contacto) → marcador, y a partir de aquí se
+  // sustituye también dentro de los textos (sin distinguir mayúsculas). Si el tipo no
+  // está activo en este canal o el valor está vacío, lo devuelve tal cual.
+  function redactValue(type, value) {
+    const text = String(value || "").trim();
+    if (!active.includes(type) || text.length < 2) return value;
+    const found = entities.find((e) => e.type === type && e.value.toLowerCase() === text.toLowerCase());
+    return found ? found.placeholder : placeholderFor(type, text);
+  }
+
+  function knownValueRe(value) {
+    const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+    return new RegExp(`(?<![${LETTERS}0-9])${escaped}(?![${LETTERS}0-9])`, "gi");
+  }
+
+  function redactText(text) {
+    let out = text;
+    for (const e of entities) {
+      if (!REDACTION_TYPES[e.type].patterns.length) out = out.replace(knownValueRe(e.value), e.placeholder);
+    }
+    for (const type of active) {
+      const { patterns, accept } = REDACTION_TYPES[type];
+      for (const re of patterns) {
+        out = out.replace(re, (m) => (accept && !accept(m) ? m : placeholderFor(type, m.trim())));
+      }
+    }
+    return out;
+  }
+
+  // Marcadores → valores originales (en todos los strings del resultado)
+  function restoreText(text) {
+    return text.replace(PLACEHOLDER_RE, (p) => {
+      const found = entities.find((e) => e.placeholder === p);
+      return found ? found.value : p;
+    });
+  }
+
+  return {
+    redact: (value) => mapStrings(value, redactText),
+    redactValue,
+    restore: (value) => mapStrings(value, restoreText),
+    // Tipos que se han sustituido de verdad (para la respuesta)
+    redactedTypes: () => active.filter((t) => entities.some((e) => e.type === t)),
+  };
+}
+
+// Tipos a sustituir en un canal según la configuración (config/pii-redaction.json):
+// { activo, tipos_por_defecto, canales: { canal: [tipos] } }
+function redactionTypesFor(config, canal) {
+  if (!config || config.activo === false) return [];
+  const canales = config.canales || {};
+  const key = String(canal || "").trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(canales, key)) return canales[key];
+  return config.tipos_por_defecto || PII_TYPES;
+}
+
+// Lanza si algún canal usa un tipo desconocido (para verlo al arrancar)
+function validateRedactionConfig(config) {
+  createRedactor(config.tipos_por_defecto || PII_TYPES);
+  for (const types of Object.values(config.canales || {})) createRedactor(types);
+  return config;
+}
+
+module.exports = {
+  PII_TYPES,
+  maskPII,
+  maskDeep,
+  createRedactor,
+  redactionTypesFor,
+  validateRedactionConfig,
+};
@@ -0,0 +1,139 @@
+// lib/rate-limit.js — límites de peticiones (ventana fija en memoria) y
+// contador persistente de llamadas/tokens IA por cliente y día (cuotas).
+
+const fs = require("fs");
+const path = require("path");
+
+/* =====================================================================
+ *  RATE LIMIT (por IP / por API key)
+ * ===================================================================== */
+
+// Ventana fija: como mucho `max` peticiones por `windowMs` para cada clave.
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+  let lastSweep = Date.now();
+
+  // Limpia ventanas caducadas de vez en cuando para no crecer sin límite
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    for (const [key, w] of windows) {
+      if (w.resetAt <= now) windows.delete(key);
+    }
+    lastSweep = now;
+  }
+
+  // Registra una petición. Devuelve { allowed, limit, remaining, retryAfterSec }.
+  function hit(key, limit = max) {
+    const now = Date.now();
+    sweep(now);
+
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(key, w);
+    }
+    w.count += 1;
+
+    return {
+      allowed: !limit || w.count <= limit,
+      limit,
+      remaining: Math.max(limit - w.count, 0),
+      retryAfterSec: Math.ceil((w.resetAt - now) / 1000),
+    };
+  }
+
+  return { hit };
+}
+
+/* =====================================================================
+ *  USO IA (llamadas y tokens por cliente y día UTC)
+ * ===================================================================== */
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Segundos hasta el próximo día UTC (Retry-After cuando se agota la cuota diaria)
+function secondsUntilNextDay() {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+function createUsageStore({ file, retentionDays = 90 }) {
+  // { "2026-01-31": { "key:web": { calls, prompt_tokens, completion_tokens } } }
+  let days = {};
+
+  if (fs.existsSync(file)) {
+    days = JSON.parse(fs.readFileSync(file, "utf8")).days || {};
+  }
+
+  function persist() {
+    // Borrar días fuera de la retención
+    const limit = new Date(Date.now() - retentionDays * 86400000)
+      .toISOString()
+      .slice(0, 10);
+    for (const day of Object.keys(days)) {
+      if (day < limit) delete days[day];
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ days }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Suma una llamada IA (y sus tokens) al cliente en el día actual
+  function record(client, usage = {}) {
+    const day = today();
+    days[day] = days[day] || {};
+    const entry = days[day][client] || {
+      calls: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+    };
+    entry.calls += 1;
+    entry.prompt_tokens += usage.prompt_tokens || 0;
+    entry.completion_tokens += usage.completion_tokens || 0;
+    days[day][client] = entry;
+    persist();
+    return entry;
+  }
+
+  function callsToday(client) {
+    const entry = (days[today()] || {})[client];
+    return entry ? entry.calls : 0;
+  }
+
+  // Consumo por día y cliente, filtrable por cliente y rango de fechas (YYYY-MM-DD)
+  function query({ client, from, to } = {}) {
+    const rows = [];
+    for (const day of Object.keys(days).sort()) {
+      if (from && day < from) continue;
+      if (to && day > to) continue;
+      for (const [c, entry] of Object.entries(days[day])) {
+        if (client && c !== client) continue;
+        rows.push({ day, client: c, ...entry });
+      }
+    }
+
+    const totals = rows.reduce(
+      (acc, r) => ({
+        calls: acc.calls + r.calls,
+        prompt_tokens: acc.prompt_tokens + r.prompt_tokens,
+        completion_tokens: acc.completion_tokens + r.completion_tokens,
+      }),
+      { calls: 0, prompt_tokens: 0, completion_tokens: 0 }
+    );
+
+    return { totals, rows };
+  }
+
+  return { record, callsToday, query };
+}
+
+module.exports = {
+  createRateLimiter,
+  createUsageStore,
+  secondsUntilNextDay,
+};
@@ -0,0 +1,109 @@
+// lib/reply-draft.js — borrador de respuesta escrito por la IA (modo AI_REPLY_MODE=ia)
+//
+// El modelo solo puede usar lo que dice el fichero de FAQ (config/faq.json). Antes de
+// guardarlo en x_respuesta_ia el borrador pasa unas comprobaciones; si falla alguna,
+// se usa la plantilla estática (lib/reply-templates.js).
+
+const NOMBRES_IDIOMA = {
+  es: "español",
+  ca: "catalán",
+  en: "inglés",
+  fr: "francés",
+  pt: "portugués",
+};
+
+const MIN_LENGTH = 40;
+const MAX_LENGTH = 1500;
+
+// Importes: "1.200 €", "€1200", "300 euros", "$99", "15 %"…
+const PRICE_RE =
+  /(\d[\d.,]*\s*(€|eur\b|euros?\b|\$|usd\b|dólares\b|dollars?\b|£|%))|((€|\$|£)\s*\d)/i;
+const URL_RE = /https?:\/\/[^\s)>\]]+/gi;
+// Marcadores sin rellenar: [nombre], {cita_url}, <NOMBRE>…
+const PLACEHOLDER_RE = /\[[^\]\n]{1,30}\]|\{[^}\n]{1,30}\}|<[A-Z_ ]{2,30}>/;
+
+function faqText(faq) {
+  return (faq.entradas || [])
+    .map((e) => `- ${e.tema}: ${e.respuesta}`)
+    .join("\n");
+}
+
+function buildDraftSystemPrompt(faq, { citaUrl }) {
+  return `
+Eres el equipo comercial de ${faq.empresa}. Escribes el BORRADOR de la primera respuesta a un cliente;
+una persona lo revisará antes de enviarlo.
+
+INFORMACIÓN DE LA EMPRESA (la única que puedes usar):
+${faqText(faq)}
+${citaUrl ? `\nEnlace para reservar una llamada: ${citaUrl}\n` : ""}
+Reglas:
+- Escribe en el idioma indicado, con tono cercano y profesional, en 60-150 palabras.
+- Responde a la pregunta concreta del cliente usando SOLO la información de arriba.
+- Si la información no basta para responder, di que el equipo le enviará los detalles.
+- NO des precios, importes, porcentajes ni plazos de entrega.
+- NO prometas nada: ni descuentos, ni regalos, ni garantías, ni condiciones que no estén arriba.
+- NO incluyas enlaces distintos del enlace de citas.
+- No te inventes marcadores tipo [nombre]; si no sabes el nombre, saluda sin él. Los de datos
+  personales que ya vienen en el mensaje ([NOMBRE_1], [EMAIL_1]…) sí puedes copiarlos tal cual.
+- Termina con una despedida y la firma indicada.
+
+Devuelve SOLO un JSON válido (json) con este formato:
+{"idioma": "<código del idioma usado>", "respuesta": "<texto del borrador>"}
+`;
+}
+
+function buildDraftUserPrompt(ai, text, { idioma, nombre, firma }) {
+  let prompt = `Idioma de la respuesta: ${idioma} (${NOMBRES_IDIOMA[idioma] || idioma})\n`;
+  if (nombre) prompt += `Nombre del cliente: ${nombre}\n`;
+  prompt += `Firma: ${firma}\n`;
+  prompt += `Intención detectada: ${ai.intencion}\n`;
+  prompt += `Resumen: ${ai.resumen || ""}\n`;
+  prompt += `\nPREGUNTA DEL CLIENTE:\n${ai.pregunta || ai.resumen || ""}\n`;
+  prompt += `\nMENSAJE ORIGINAL:\n${text}\n`;
+  return prompt;
+}
+
+// Comprobaciones del borrador. Devuelve la lista de errores (vacía = válido).
+function validateDraft(draft, { faq, idioma, citaUrl }) {
+  if (!draft || typeof draft.respuesta !== "string") {
+    return ["falta el campo 'respuesta'"];
+  }
+
+  const errors = [];
+  const text = draft.respuesta.trim();
+  const lower = text.toLowerCase();
+  const allowedText = faqText(faq).toLowerCase();
+
+  if (text.length < MIN_LENGTH) errors.push(`demasiado corta (${text.length} caracteres)`);
+  if (text.length > MAX_LENGTH) errors.push(`demasiado larga (${text.length} caracteres)`);
+
+  if (draft.idioma && String(draft.idioma).toLowerCase() !== idioma) {
+    errors.push(`idioma ${draft.idioma} en vez de ${idioma}`);
+  }
+
+  const price = text.match(PRICE_RE);
+  if (price) errors.push(`menciona un importe ("${price[0].trim()}")`);
+
+  for (const phrase of faq.frases_prohibidas || []) {
+    const p = phrase.toLowerCase();
+    if (lower.includes(p) && !allowedText.includes(p)) {
+      errors.push(`frase no permitida ("${phrase}")`);
+    }
+  }
+
+  for (const url of text.match(URL_RE) || []) {
+    if (!citaUrl || !url.startsWith(citaUrl)) {
+      errors.push(`enlace no permitido (${url})`);
+    }
+  }
+
+  if (PLACEHOLDER_RE.test(text)) errors.push("contiene marcadores sin rellenar");
+
+  return errors;
+}
+
+module.exports = {
+  buildDraftSystemPrompt,
+  buildDraftUserPrompt,
+  validateDraft,
+};
@@ -0,0 +1,97 @@
+// lib/reply-templates.js — respuestas sugeridas por idioma e intención
+// (plantillas en config/reply-templates.json)
+//
+// Marcadores: {nombre}, {ubicacion}, {pais}, {lugar} (ubicación o, si no hay, país)
+// y {cita_url}. Un tramo entre [[ ]] se omite entero si alguno de sus marcadores
+// está vacío: "Hola[[ {nombre}]]," → "Hola Ana," o "Hola,".
+
+const PLACEHOLDER_RE = /\{(\w+)\}/g;
+const OPTIONAL_RE = /\[\[([\s\S]*?)\]\]/g;
+
+const REQUIRED_KEYS = ["encabezado", "intenciones", "cita", "despedida"];
+
+function fillTemplate(template, vars) {
+  const value = (name) =>
+    vars[name] === undefined || vars[name] === null ? "" : String(vars[name]);
+
+  return String(template || "")
+    .replace(OPTIONAL_RE, (_m, inner) => {
+      const names = [...inner.matchAll(PLACEHOLDER_RE)].map((m) => m[1]);
+      return names.every((n) => value(n).trim()) ? inner : "";
+    })
+    .replace(PLACEHOLDER_RE, (_m, name) => value(name));
+}
+
+// Comprueba la estructura al arrancar (lanza Error con todo lo que falte)
+function validateTemplates(templates) {
+  const errors = [];
+  const idiomas = (templates && templates.idiomas) || {};
+
+  if (!Object.keys(idiomas).length) errors.push("falta 'idiomas'");
+  if (templates && templates.idioma_por_defecto && !idiomas[templates.idioma_por_defecto]) {
+    errors.push(`idioma_por_defecto '${templates.idioma_por_defecto}' no está en 'idiomas'`);
+  }
+
+  for (const [idioma, t] of Object.entries(idiomas)) {
+    for (const key of REQUIRED_KEYS) {
+      if (!t || !t[key]) errors.push(`${idioma}: falta '${key}'`);
+    }
+    if (t && t.intenciones && !t.intenciones._default) {
+      errors.push(`${idioma}: falta 'intenciones._default'`);
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Plantillas de respuesta inválidas: ${errors.join("; ")}`);
+  }
+  return templates;
+}
+
+// "pt-BR" → "pt"; idioma sin plantillas → idioma_por_defecto
+function resolveLanguage(templates, idioma) {
+  const code = String(idioma || "").toLowerCase().split(/[-_]/)[0];
+  if (templates.idiomas[code]) return code;
+  return templates.idioma_por_defecto || Object.keys(templates.idiomas)[0];
+}
+
+// Devuelve { idioma, intencion, texto } con el idioma e intención realmente usados
+function renderReply(templates, { idioma, intencion, urgencia, nombre, ubicacion, pais, citaUrl }) {
+  const lang = resolveLanguage(templates, idioma);
+  const t = templates.idiomas[lang];
+  const intent = String(intencion || "").toLowerCase();
+  const alias = (templates.alias_intenciones || {})[intent] || intent;
+  const bodyKey = t.intenciones[alias] ? alias : "_default";
+
+  const vars = {
+    nombre,
+    ubicacion,
+    pais,
+    lugar: ubicacion || pais,
+    cita_url: citaUrl,
+  };
+
+  const parts = [fillTemplate(t.encabezado, vars), fillTemplate(t.intenciones[bodyKey], vars)];
+
+  // Propuesta de cita sólo si tiene sentido (intención y urgencia)
+  const citaRules = templates.cita || {};
+  const puedeOfrecerCita =
+    citaUrl &&
+    (citaRules.intenciones || []).includes(intent) &&
+    !(citaRules.excluir_urgencias || []).includes(String(urgencia || "").toLowerCase());
+  if (puedeOfrecerCita) parts.push(fillTemplate(t.cita, vars));
+
+  parts.push(fillTemplate(t.despedida, vars));
+
+  return {
+    idioma: lang,
+    intencion: bodyKey,
+    texto: parts.filter((p) => p.trim()).join("\n\n").trim(),
+  };
+}
+
+module.exports = {
+  fillTemplate,
+  validateTemplates,
+  resolveLanguage,
+  renderReply,
+};
@@ -0,0 +1,130 @@
+// lib/stt.js — transcripción de grabaciones de llamadas (speech-to-text) intercambiable
+//
+// Cada backend expone transcribe(audio, { filename, language }) → { text, segments },
+// con segments opcional ([{ speaker, text }] si el motor separa hablantes). El texto
+// resultante entra en el mismo flujo que una transcripción recibida por el webhook.
+//
+// Selección por variables de entorno:
+//   STT_PROVIDER        local | stub   (vacío = grabaciones sin transcribir)
+//   STT_LANGUAGE        idioma por defecto de las llamadas (es)
+//   STT_TIMEOUT_MS      timeout por grabación (por defecto 300000)
+//   STT_LOCAL_COMMAND   motor local: comando con {audio} (ruta del fichero) y {idioma},
+//                       p.ej. "whisper-cli -m /models/ggml-small.bin -l {idioma} -nt -f {audio}"
+//   STT_STUB_TEXT       stub: texto fijo que devuelve (pruebas sin motor real)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+
+const STT_TIMEOUT_MS = Number(process.env.STT_TIMEOUT_MS) || 300000;
+const STT_LANGUAGE = process.env.STT_LANGUAGE || "es";
+
+// "cmd -m '/ruta con espacios' {audio}" → ["cmd", "-m", "/ruta con espacios", "{audio}"]
+function splitCommand(command) {
+  return (command.match(/"[^"]*"|'[^']*'|\S+/g) || []).map((arg) =>
+    /^(["']).*\1$/.test(arg) ? arg.slice(1, -1) : arg
+  );
+}
+
+// Salida del motor → { text, segments }. Acepta texto plano o JSON con
+// { text } / { segments: [{ speaker, text }] } (formato habitual de whisper y similares).
+function parseEngineOutput(stdout) {
+  const out = String(stdout || "").trim();
+  if (out.startsWith("{")) {
+    try {
+      const data = JSON.parse(out);
+      const segments = Array.isArray(data.segments)
+        ? data.segments
+            .map((s) => ({ speaker: s.speaker || null, text: String(s.text || "").trim() }))
+            .filter((s) => s.text)
+        : null;
+      const text = String(data.text || "").trim() || (segments || []).map((s) => s.text).join(" ");
+      return { text, segments: segments && segments.some((s) => s.speaker) ? segments : null };
+    } catch (_e) {
+      // no era JSON: se trata como texto plano
+    }
+  }
+  return { text: out, segments: null };
+}
+
+/* =====================================================================
+ *  MOTOR LOCAL (comando externo: whisper.cpp, faster-whisper, vosk…)
+ * ===================================================================== */
+
+function createLocalProvider() {
+  const command = process.env.STT_LOCAL_COMMAND || "";
+  if (!command.includes("{audio}")) {
+    throw new Error("STT_LOCAL_COMMAND debe incluir {audio} (ruta del fichero de audio)");
+  }
+
+  return {
+    name: "local",
+    async transcribe(audio, { filename = "grabacion.mp3", language = STT_LANGUAGE } = {}) {
+      const ext = path.extname(filename) || ".mp3";
+      const file = path.join(os.tmpdir(), `stt-${crypto.randomUUID()}${ext}`);
+      fs.writeFileSync(file, audio);
+
+      const [bin, ...args] = splitCommand(command).map((arg) =>
+        arg.replace("{audio}", file).replace("{idioma}", language)
+      );
+      try {
+        const stdout = await new Promise((resolve, reject) => {
+          execFile(
+            bin,
+            args,
+            { timeout: STT_TIMEOUT_MS, maxBuffer: 20 * 1024 * 1024 },
+            (err, out, stderr) => {
+              if (err) {
+                const detail = err.killed ? `timeout tras ${STT_TIMEOUT_MS}ms` : String(stderr || err.message).trim();
+                reject(new Error(`STT local (${bin}): ${detail.slice(0, 500)}`));
+              } else {
+                resolve(out);
+              }
+            }
+          );
+        });
+        return parseEngineOutput(stdout);
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    },
+  };
+}
+
+/* =====================================================================
+ *  STUB (pruebas offline, sin motor)
+ * ===================================================================== */
+
+function createStubProvider() {
+  return {
+    name: "stub",
+    async transcribe(audio) {
+      const text =
+        process.env.STT_STUB_TEXT ||
+        `Cliente: Hola, llamaba para pedir información de las máquinas de pizza. (transcripción simulada, ${audio.length} bytes de audio)`;
+      return { text, segments: null };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  local: createLocalProvider,
+  stub: createStubProvider,
+};
+
+function createSttProvider(name) {
+  const key = String(name || "").trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[key];
+  if (!factory) {
+    throw new Error(
+      `Proveedor STT desconocido "${name}" (opciones: ${Object.keys(PROVIDER_FACTORIES).join(", ")})`
+    );
+  }
+  return factory();
+}
+
+module.exports = {
+  createSttProvider,
+};
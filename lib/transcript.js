@@ -0,0 +1,259 @@
+// lib/transcript.js — transcripciones de llamadas largas
+//
+// Las transcripciones de una llamada comercial pueden tener decenas de miles de
+// caracteres. En vez de mandarlas enteras en un solo prompt, se trocean por turnos
+// (sin partir la intervención de un hablante si cabe), se resume cada fragmento y, si
+// los resúmenes siguen siendo largos, se resumen otra vez por grupos. El análisis final
+// se hace sobre ese resumen + los momentos clave (objeciones, seguimientos pedidos…).
+
+const HABLANTES = [
+  { re: /^(agente|agent|operador|operator|comercial|vendedor|asesor|sales|rep)$/i, hablante: "agente" },
+  { re: /^(cliente|customer|client|caller|llamante|lead|prospect)$/i, hablante: "cliente" },
+];
+const TURN_PREFIX_RE =
+  /^\s*\[?(agente|agent|operador|operator|comercial|vendedor|asesor|sales|rep|cliente|customer|client|caller|llamante|lead|prospect|(?:speaker|hablante|interlocutor|spk)\s*\d+)\]?\s*[:\-–]\s*(.*)$/i;
+
+const TIPOS_MOMENTO = ["objecion", "seguimiento", "compromiso", "dato_clave"];
+const ETIQUETAS_MOMENTO = {
+  objecion: "Objeción",
+  seguimiento: "Seguimiento pedido",
+  compromiso: "Compromiso",
+  dato_clave: "Dato clave",
+};
+
+function normalizeSpeaker(label) {
+  const raw = String(label || "").trim();
+  if (!raw) return null;
+  const found = HABLANTES.find((h) => h.re.test(raw));
+  if (found) return found.hablante;
+  // "speaker 1", "hablante 2"… se conservan tal cual
+  return raw.toLowerCase().replace(/\s+/g, " ");
+}
+
+// Transcripción (texto con "Agente: …" / "Cliente: …" por línea, o array de segmentos
+// { speaker | role | hablante, text | texto }) → [{ hablante, texto }]. Sin hablantes
+// reconocibles devuelve un único turno con hablante null.
+function parseTranscript(input) {
+  if (Array.isArray(input)) {
+    return input
+      .map((seg) =>
+        typeof seg === "string"
+          ? { hablante: null, texto: seg.trim() }
+          : {
+              hablante: normalizeSpeaker(seg.speaker || seg.role || seg.hablante || seg.channel),
+              texto: String(seg.text || seg.texto || seg.transcript || "").trim(),
+            }
+      )
+      .filter((t) => t.texto);
+  }
+
+  const turns = [];
+  for (const line of String(input || "").split(/\r?\n/)) {
+    const m = line.match(TURN_PREFIX_RE);
+    if (m) {
+      turns.push({ hablante: normalizeSpeaker(m[1]), texto: m[2].trim() });
+    } else if (line.trim()) {
+      // Línea sin prefijo: continúa el turno anterior
+      if (turns.length) turns[turns.length - 1].texto += `\n${line.trim()}`;
+      else turns.push({ hablante: null, texto: line.trim() });
+    }
+  }
+  return turns.filter((t) => t.texto);
+}
+
+function formatTurn(turn) {
+  if (!turn.hablante) return turn.texto;
+  const label = turn.hablante.charAt(0).toUpperCase() + turn.hablante.slice(1);
+  return `${label}: ${turn.texto}`;
+}
+
+function formatTurns(turns) {
+  return turns.map(formatTurn).join("\n");
+}
+
+// Parte un texto demasiado largo por frases (y, si una frase sola no cabe, a trozos)
+function splitLongText(text, maxChars) {
+  const pieces = [];
+  let current = "";
+  for (const sentence of text.match(/[^.!?\n]+[.!?\n]*\s*/g) || [text]) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = "";
+    }
+    if (sentence.length > maxChars) {
+      for (let i = 0; i < sentence.length; i += maxChars) pieces.push(sentence.slice(i, i + maxChars));
+    } else {
+      current += sentence;
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+// Turnos → fragmentos de texto de como mucho maxChars, cortando entre turnos
+function chunkTurns(turns, maxChars) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  const flush = () => {
+    if (current.length) chunks.push(current.join("\n"));
+    current = [];
+    size = 0;
+  };
+
+  for (const turn of turns) {
+    const line = formatTurn(turn);
+    if (line.length > maxChars) {
+      // Una intervención enorme: se parte por frases manteniendo el hablante
+      flush();
+      for (const piece of splitLongText(turn.texto, maxChars - 20)) {
+        chunks.push(formatTurn({ ...turn, texto: piece }));
+      }
+      continue;
+    }
+    if (size + line.length + 1 > maxChars) flush();
+    current.push(line);
+    size += line.length + 1;
+  }
+  flush();
+  return chunks;
+}
+
+/* =====================================================================
+ *  PROMPTS DE RESUMEN
+ * ===================================================================== */
+
+function buildChunkSystemPrompt() {
+  return `
+Eres un asistente que resume llamadas comerciales de Piznalia / La Pizzerina / SmartChef24h
+(máquinas de venta de pizza y producto para hostelería).
+
+Recibirás un FRAGMENTO de la transcripción de una llamada, con los turnos marcados como
+"Agente:" (nuestro comercial) y "Cliente:" cuando se conocen. Devuelve SOLO este JSON:
+
+{
+  "resumen": "qué se ha hablado en este fragmento, en español, indicando quién dice qué",
+  "momentos": [
+    { "tipo": "objecion", "hablante": "cliente", "texto": "le parece caro el alquiler mensual" }
+  ]
+}
+
+Tipos de momento (solo si aparecen de verdad en el fragmento):
+- "objecion": dudas o pegas del cliente (precio, espacio, permisos, competencia…).
+- "seguimiento": algo que hay que hacer después (enviar presupuesto, llamar otro día, visita…).
+- "compromiso": algo que una de las partes se compromete a hacer o acepta.
+- "dato_clave": cifras, fechas, ubicaciones o nombres de negocio relevantes para la venta.
+
+Reglas:
+- No inventes nada que no esté en el fragmento. "momentos" puede ser [].
+- Resumen de como mucho 6 frases.
+- RESPONDE SIEMPRE SOLO CON JSON VÁLIDO.
+`;
+}
+
+function buildChunkUserPrompt(chunk, { index, total }) {
+  return `FRAGMENTO ${index + 1} DE ${total}:\n${chunk}\n\nDevuelve SOLO el JSON.`;
+}
+
+// Segunda pasada: une varios resúmenes parciales (en orden) en uno
+function buildMergeUserPrompt(resumenes) {
+  return `Estos son los resúmenes, en orden, de fragmentos consecutivos de la misma llamada:
+
+${resumenes.map((r, i) => `[${i + 1}] ${r}`).join("\n\n")}
+
+Únelos en un solo resumen coherente (campo "resumen") y deja "momentos" vacío.
+Devuelve SOLO el JSON.`;
+}
+
+function cleanMoments(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((m) => m && TIPOS_MOMENTO.includes(m.tipo) && String(m.texto || "").trim())
+    .map((m) => ({
+      tipo: m.tipo,
+      hablante: normalizeSpeaker(m.hablante),
+      texto: String(m.texto).trim(),
+    }));
+}
+
+/* =====================================================================
+ *  RESUMEN JERÁRQUICO
+ * ===================================================================== */
+
+// Resúmenes consecutivos agrupados sin pasar de maxChars por grupo (cada resumen entero,
+// aunque tenga saltos de línea; uno que ya no quepa solo va en su propio grupo)
+function groupSummaries(resumenes, maxChars) {
+  const groups = [];
+  let current = [];
+  let size = 0;
+  for (const resumen of resumenes) {
+    if (current.length && size + resumen.length + 2 > maxChars) {
+      groups.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(resumen);
+    size += resumen.length + 2;
+  }
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+// summarize(systemPrompt, userPrompt) → objeto JSON de la IA (callAIJSON).
+// Devuelve { resumen, momentos, fragmentos, niveles }.
+async function summarizeTranscript(turns, { summarize, chunkChars }) {
+  const chunks = chunkTurns(turns, chunkChars);
+  const system = buildChunkSystemPrompt();
+
+  const partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const out = await summarize(system, buildChunkUserPrompt(chunks[i], { index: i, total: chunks.length }));
+    partials.push({ resumen: String(out.resumen || "").trim(), momentos: cleanMoments(out.momentos) });
+  }
+
+  // Mientras los resúmenes juntos no quepan en un fragmento, se resumen por grupos
+  let resumenes = partials.map((p) => p.resumen).filter(Boolean);
+  let niveles = 1;
+  while (resumenes.join("\n\n").length > chunkChars && resumenes.length > 1) {
+    const groups = groupSummaries(resumenes, chunkChars);
+    if (groups.length >= resumenes.length) break; // no se reduce: se para aquí
+    const merged = [];
+    for (const group of groups) {
+      const out = await summarize(system, buildMergeUserPrompt(group));
+      merged.push(String(out.resumen || "").trim());
+    }
+    resumenes = merged.filter(Boolean);
+    niveles += 1;
+  }
+
+  // Momentos sin repetir (el mismo tipo y texto puede salir en dos fragmentos)
+  const seen = new Set();
+  const momentos = partials
+    .flatMap((p) => p.momentos)
+    .filter((m) => {
+      const key = `${m.tipo}|${m.texto.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  return { resumen: resumenes.join("\n\n"), momentos, fragmentos: chunks.length, niveles };
+}
+
+// "Momentos clave de la llamada:\n- Objeción (cliente): …"
+function formatKeyMoments(momentos) {
+  if (!momentos || !momentos.length) return "";
+  const lines = momentos.map(
+    (m) => `- ${ETIQUETAS_MOMENTO[m.tipo] || m.tipo}${m.hablante ? ` (${m.hablante})` : ""}: ${m.texto}`
+  );
+  return `Momentos clave de la llamada:\n${lines.join("\n")}`;
+}
+
+module.exports = {
+  parseTranscript,
+  formatTurns,
+  chunkTurns,
+  summarizeTranscript,
+  formatKeyMoments,
+};
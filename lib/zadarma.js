@@ -0,0 +1,210 @@
+// lib/zadarma.js — notificaciones nativas de la centralita Zadarma (PBX)
+//
+// Zadarma avisa de cada llamada con varios POST al mismo webhook:
+//   NOTIFY_START / NOTIFY_OUT_START   empieza una llamada entrante / saliente
+//   NOTIFY_ANSWER                     una extensión contesta la entrante
+//   NOTIFY_END / NOTIFY_OUT_END       termina (duration, disposition, is_recorded)
+//   NOTIFY_RECORD                     la grabación está lista (call_id_with_rec)
+// La grabación se pide después a su API (firmada con ZADARMA_API_KEY / SECRET).
+// Como NOTIFY_RECORD no trae el número del cliente, el estado de cada llamada se
+// guarda en un fichero (pbx_call_id → datos) durante unos días.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+
+const ZADARMA_TIMEOUT_MS = 30000;
+const CALL_EVENTS = [
+  "NOTIFY_START",
+  "NOTIFY_INTERNAL",
+  "NOTIFY_ANSWER",
+  "NOTIFY_END",
+  "NOTIFY_OUT_START",
+  "NOTIFY_OUT_END",
+  "NOTIFY_RECORD",
+];
+
+// Payload de Zadarma → datos de la llamada que nos interesan (solo los que vienen)
+function describeCallEvent(body) {
+  const saliente = /^NOTIFY_OUT_/.test(body.event);
+  const call = {
+    pbx_call_id: body.pbx_call_id || "",
+    direccion: saliente ? "saliente" : "entrante",
+    // En las salientes el cliente es el destino; en las entrantes, quien llama
+    telefono: String((saliente ? body.destination : body.caller_id) || "").trim(),
+    numero_llamado: saliente ? undefined : body.called_did,
+    extension: body.internal,
+    inicio: body.call_start,
+    duracion: body.duration !== undefined ? Number(body.duration) || 0 : undefined,
+    resultado: body.disposition,
+    grabada: body.is_recorded !== undefined ? String(body.is_recorded) === "1" : undefined,
+    call_id_with_rec: body.call_id_with_rec,
+  };
+  if (body.event === "NOTIFY_RECORD") {
+    // La grabación no dice nada de la dirección: se conserva la que ya se tenga
+    delete call.direccion;
+    delete call.telefono;
+  }
+  return Object.fromEntries(Object.entries(call).filter(([, v]) => v !== undefined && v !== ""));
+}
+
+// Entrante que nadie contestó (ocupado, sin respuesta, colgó antes…)
+function isMissedCall(call) {
+  return call.direccion === "entrante" && Boolean(call.resultado) && call.resultado !== "answered";
+}
+
+/* =====================================================================
+ *  API (grabaciones)
+ * ===================================================================== */
+
+// Firma de la API: base64( hex( HMAC-SHA1(método + params + md5(params), secret) ) ),
+// con los parámetros ordenados por nombre
+function signApiRequest(method, params, secret) {
+  const query = new URLSearchParams(
+    Object.keys(params)
+      .sort()
+      .map((k) => [k, String(params[k])])
+  ).toString();
+  const md5 = crypto.createHash("md5").update(query).digest("hex");
+  const hex = crypto.createHmac("sha1", secret).update(`${method}${query}${md5}`).digest("hex");
+  return { query, signature: Buffer.from(hex).toString("base64") };
+}
+
+async function fetchWithTimeout(url, options, what) {
+  try {
+    return await fetch(url, { ...options, signal: AbortSignal.timeout(ZADARMA_TIMEOUT_MS) });
+  } catch (err) {
+    if (err.name === "TimeoutError" || err.name === "AbortError") {
+      throw new Error(`Timeout Zadarma (${what}) tras ${ZADARMA_TIMEOUT_MS}ms`);
+    }
+    throw err;
+  }
+}
+
+function recordingTooLarge(maxBytes, bytes) {
+  const size = bytes ? `${bytes} bytes, máximo ${maxBytes}` : `más de ${maxBytes} bytes`;
+  const err = new Error(`Grabación demasiado grande (${size})`);
+  err.permanent = true;
+  return err;
+}
+
+// Cuerpo de la respuesta → Buffer, sin pasar de maxBytes: se mira content-length antes
+// de leer y, si no viene (o miente), se corta la descarga en cuanto se supera.
+async function readLimited(resp, maxBytes) {
+  if (!maxBytes) return Buffer.from(await resp.arrayBuffer());
+
+  const declared = Number(resp.headers.get("content-length"));
+  if (declared > maxBytes) {
+    await resp.body?.cancel().catch(() => {});
+    throw recordingTooLarge(maxBytes, declared);
+  }
+
+  const chunks = [];
+  let total = 0;
+  try {
+    for await (const chunk of resp.body || []) {
+      total += chunk.length;
+      // Salir del bucle con throw cancela el stream (y la descarga)
+      if (total > maxBytes) throw recordingTooLarge(maxBytes);
+      chunks.push(chunk);
+    }
+  } catch (err) {
+    if (err.name === "TimeoutError" || err.name === "AbortError") {
+      throw new Error(`Timeout Zadarma (descarga de grabación) tras ${ZADARMA_TIMEOUT_MS}ms`);
+    }
+    throw err;
+  }
+  return Buffer.concat(chunks);
+}
+
+// Descarga la grabación de una llamada → { audio, filename, url }
+async function fetchRecording({ callIdWithRec, pbxCallId }, { apiKey, apiSecret, baseUrl, maxBytes }) {
+  if (!apiKey || !apiSecret) {
+    const err = new Error("Faltan ZADARMA_API_KEY / ZADARMA_API_SECRET para pedir la grabación");
+    err.permanent = true;
+    throw err;
+  }
+
+  const method = "/v1/pbx/record/request/";
+  const params = callIdWithRec ? { call_id: callIdWithRec } : { pbx_call_id: pbxCallId };
+  const { query, signature } = signApiRequest(method, params, apiSecret);
+
+  const resp = await fetchWithTimeout(
+    `${baseUrl.replace(/\/$/, "")}${method}?${query}`,
+    { headers: { Authorization: `${apiKey}:${signature}` } },
+    "record/request"
+  );
+  const data = await resp.json().catch(() => ({}));
+  const link = data.link || (Array.isArray(data.links) ? data.links[0] : "");
+  if (!resp.ok || data.status !== "success" || !link) {
+    // La grabación puede tardar en estar disponible: salvo credenciales, se reintenta
+    const err = new Error(`Error API Zadarma grabación ${callIdWithRec || pbxCallId}: ${data.message || `HTTP ${resp.status}`}`);
+    err.permanent = resp.status === 401 || resp.status === 403;
+    throw err;
+  }
+
+  const audioResp = await fetchWithTimeout(link, {}, "descarga de grabación");
+  if (!audioResp.ok) {
+    throw new Error(`Error descargando la grabación de Zadarma: HTTP ${audioResp.status}`);
+  }
+  const audio = await readLimited(audioResp, maxBytes);
+
+  const filename = path.basename(new URL(link).pathname) || "grabacion.mp3";
+  return { audio, filename, url: link };
+}
+
+/* =====================================================================
+ *  ESTADO DE LLAMADAS (pbx_call_id → datos acumulados de sus eventos)
+ * ===================================================================== */
+
+function createCallLog({ file, ttlMs = 3 * 24 * 60 * 60 * 1000 }) {
+  let calls = {};
+  try {
+    calls = JSON.parse(fs.readFileSync(file, "utf8")).calls || {};
+  } catch (_e) {
+    calls = {};
+  }
+
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ calls }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      logger.error("Zadarma: no se pudo guardar el estado de llamadas", { err });
+    }
+  }
+
+  // Añade los datos de un evento; devuelve la llamada con todo lo acumulado
+  function remember(pbxCallId, event, fields) {
+    const now = Date.now();
+    for (const [id, call] of Object.entries(calls)) {
+      if (now - call.updated_at > ttlMs) delete calls[id];
+    }
+    const previous = calls[pbxCallId] || { eventos: [] };
+    calls[pbxCallId] = {
+      ...previous,
+      ...fields,
+      eventos: [...previous.eventos, event],
+      updated_at: now,
+    };
+    persist();
+    return calls[pbxCallId];
+  }
+
+  function get(pbxCallId) {
+    return calls[pbxCallId] || null;
+  }
+
+  return { remember, get };
+}
+
+module.exports = {
+  CALL_EVENTS,
+  describeCallEvent,
+  isMissedCall,
+  fetchRecording,
+  createCallLog,
+};
@@ -0,0 +1,165 @@
+// test/auth.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  createApiKeyStore,
+  verifyZadarmaSignature,
+  verifyMetaSignature,
+} = require("../lib/auth");
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createApiKeyStore({ file: path.join(dir, "api-keys.json") });
+}
+
+// Petición mínima de Express: cabeceras (sin mayúsculas) y cuerpo crudo
+function fakeReq(headers = {}, rawBody) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: (name) => lower[name.toLowerCase()], rawBody };
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/* ===== API keys ===== */
+
+test("API key: scope y origen permitidos", () => {
+  const store = tempStore();
+  const { key } = store.create({ id: "web", scopes: ["lead:analyze"], origins: ["https://a.es"] });
+
+  const ok = store.authenticate(fakeReq({ "x-api-key": key, origin: "https://a.es" }), "lead:analyze");
+  assert.strictEqual(ok.ok, true);
+  assert.strictEqual(ok.key.id, "web");
+
+  const bearer = store.authenticate(fakeReq({ authorization: `Bearer ${key}` }), "lead:analyze");
+  assert.strictEqual(bearer.ok, true);
+});
+
+test("API key: scope insuficiente, origen no permitido y clave desconocida", () => {
+  const store = tempStore();
+  const { key } = store.create({ id: "web", scopes: ["lead:analyze"], origins: ["https://a.es"] });
+
+  const scope = store.authenticate(fakeReq({ "x-api-key": key }), "lead:create");
+  assert.deepStrictEqual([scope.status, scope.reason], [403, "scope_insuficiente"]);
+
+  const origin = store.authenticate(fakeReq({ "x-api-key": key, origin: "https://b.es" }), "lead:analyze");
+  assert.deepStrictEqual([origin.status, origin.reason], [403, "origen_no_permitido"]);
+
+  const unknown = store.authenticate(fakeReq({ "x-api-key": "oac_otra" }), "lead:analyze");
+  assert.deepStrictEqual([unknown.status, unknown.reason], [401, "clave_desconocida"]);
+
+  const none = store.authenticate(fakeReq({}), "lead:analyze");
+  assert.deepStrictEqual([none.status, none.reason], [401, "sin_credenciales"]);
+});
+
+test("API key: revocada deja de valer y sale de los orígenes CORS", () => {
+  const store = tempStore();
+  const { key } = store.create({ id: "web", scopes: ["lead:analyze"], origins: ["https://a.es"] });
+  assert.strictEqual(store.isOriginAllowed("https://a.es"), true);
+
+  assert.strictEqual(store.revoke("web").revoked, true);
+  const res = store.authenticate(fakeReq({ "x-api-key": key }), "lead:analyze");
+  assert.deepStrictEqual([res.status, res.reason], [401, "clave_revocada"]);
+  assert.strictEqual(store.isOriginAllowed("https://a.es"), false);
+  assert.strictEqual(store.revoke("no-existe"), null);
+});
+
+/* ===== HMAC ===== */
+
+test("HMAC: firma válida sobre timestamp y cuerpo", () => {
+  const store = tempStore();
+  const { hmac_secret: secret } = store.create({ id: "srv", scopes: ["lead:create"], hmac: true });
+  const ts = String(Math.floor(Date.now() / 1000));
+  const body = '{"text":"hola"}';
+
+  const res = store.authenticate(
+    fakeReq(
+      { "x-key-id": "srv", "x-timestamp": ts, "x-signature": sign(secret, ts, body), "content-length": "15" },
+      Buffer.from(body)
+    ),
+    "lead:create"
+  );
+  assert.strictEqual(res.ok, true);
+});
+
+test("HMAC: cuerpo cambiado, timestamp fuera de margen y cuerpo sin capturar", () => {
+  const store = tempStore();
+  const { hmac_secret: secret } = store.create({ id: "srv", scopes: ["lead:create"], hmac: true });
+  const now = Math.floor(Date.now() / 1000);
+  const body = '{"text":"hola"}';
+
+  const tampered = store.authenticate(
+    fakeReq(
+      { "x-key-id": "srv", "x-timestamp": String(now), "x-signature": sign(secret, now, body) },
+      Buffer.from('{"text":"otro"}')
+    ),
+    "lead:create"
+  );
+  assert.strictEqual(tampered.reason, "firma_invalida");
+
+  const old = now - 6 * 60;
+  const skewed = store.authenticate(
+    fakeReq({ "x-key-id": "srv", "x-timestamp": String(old), "x-signature": sign(secret, old, body) }, Buffer.from(body)),
+    "lead:create"
+  );
+  assert.strictEqual(skewed.reason, "timestamp_invalido");
+
+  // Subida multipart / CSV: el parser JSON no ha guardado rawBody
+  const unsigned = store.authenticate(
+    fakeReq({
+      "x-key-id": "srv",
+      "x-timestamp": String(now),
+      "x-signature": sign(secret, now, ""),
+      "content-length": "2048",
+    }),
+    "lead:create"
+  );
+  assert.deepStrictEqual([unsigned.status, unsigned.reason], [401, "cuerpo_no_firmable"]);
+});
+
+/* ===== Zadarma ===== */
+
+function zadarmaSignature(text, secret) {
+  return Buffer.from(crypto.createHmac("sha1", secret).update(text).digest("hex")).toString("base64");
+}
+
+test("Zadarma: cadena firmada según el evento", () => {
+  const secret = "zd-secret";
+  const cases = [
+    [{ event: "NOTIFY_START", caller_id: "+34600", called_did: "34910", call_start: "2026-10-19 10:00:00" }, "+34600349102026-10-19 10:00:00"],
+    [{ event: "NOTIFY_END", caller_id: "+34600", called_did: "34910", call_start: "t" }, "+3460034910t"],
+    [{ event: "NOTIFY_ANSWER", caller_id: "+34600", destination: "101", call_start: "t" }, "+34600101t"],
+    [{ event: "NOTIFY_OUT_START", internal: "101", destination: "+34600", call_start: "t" }, "101+34600t"],
+    [{ event: "NOTIFY_RECORD", pbx_call_id: "in_1", call_id_with_rec: "rec_1" }, "in_1rec_1"],
+  ];
+  for (const [body, signed] of cases) {
+    assert.strictEqual(verifyZadarmaSignature(body, null, zadarmaSignature(signed, secret), secret), true, body.event);
+    assert.strictEqual(verifyZadarmaSignature(body, null, zadarmaSignature(`${signed}x`, secret), secret), false);
+  }
+});
+
+test("Zadarma: payload propio firmado sobre el cuerpo crudo; sin secreto no vale", () => {
+  const raw = Buffer.from('{"transcripcion":"hola"}');
+  const sig = zadarmaSignature(raw.toString(), "s");
+  assert.strictEqual(verifyZadarmaSignature({ transcripcion: "hola" }, raw, sig, "s"), true);
+  assert.strictEqual(verifyZadarmaSignature({ transcripcion: "hola" }, raw, sig, ""), false);
+  assert.strictEqual(verifyZadarmaSignature({ transcripcion: "hola" }, raw, "", "s"), false);
+});
+
+/* ===== Meta ===== */
+
+test("Meta: X-Hub-Signature-256 sobre el cuerpo crudo", () => {
+  const raw = Buffer.from('{"entry":[]}');
+  const header = `sha256=${crypto.createHmac("sha256", "app").update(raw).digest("hex")}`;
+  assert.strictEqual(verifyMetaSignature(raw, header, "app"), true);
+  assert.strictEqual(verifyMetaSignature(Buffer.from('{"entry":[1]}'), header, "app"), false);
+  assert.strictEqual(verifyMetaSignature(raw, header, ""), false);
+  assert.strictEqual(verifyMetaSignature(undefined, header, "app"), false);
+});
@@ -0,0 +1,33 @@
+// test/batch.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBatchRunner } = require("../lib/batch");
+
+test("lote: resultados en JSONL por orden de fila y solo contadores en el JSON", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const runner = createBatchRunner({ dir, concurrency: 3 });
+
+  const rows = Array.from({ length: 25 }, (_, i) => i);
+  const job = runner.start(rows, async (n) => {
+    // Las filas terminan desordenadas
+    await new Promise((r) => setTimeout(r, (25 - n) % 4));
+    if (n === 7) throw new Error("fallo");
+    return { status: "ok", valor: n };
+  });
+  await job.done;
+
+  const results = runner.results(job.id);
+  assert.deepStrictEqual(results.map((r) => r.fila), rows.map((n) => n + 1));
+  assert.deepStrictEqual(results[7], { fila: 8, status: "error", error: "fallo" });
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, `${job.id}.json`), "utf8"));
+  assert.strictEqual(saved.status, "terminado");
+  assert.deepStrictEqual(saved.counts, { ok: 24, error: 1 });
+  assert.strictEqual(saved.results, undefined);
+  assert.deepStrictEqual(runner.results("no-existe"), []);
+});
@@ -0,0 +1,61 @@
+// test/conversations.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createConversationStore } = require("../lib/conversations");
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "conversations-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "conversations.json");
+}
+
+test("conversaciones: un mensaje con las claves de dos conversaciones las une", (t) => {
+  const file = tempFile(t);
+  const store = createConversationStore({ file });
+
+  const a = store.append(["email:ana@bar.es"], { canal: "formulario", texto: "Quiero una máquina" });
+  const b = store.append(["tel:612345678"], { canal: "llamada", texto: "Llamo por la máquina" });
+  assert.notStrictEqual(a.id, b.id);
+
+  const merged = store.append(["email:ana@bar.es", "tel:612345678"], { canal: "email", texto: "¿Precio?" });
+  assert.strictEqual(merged.mensajes, 3);
+
+  const textos = ["Quiero una máquina", "Llamo por la máquina", "¿Precio?"];
+  assert.deepStrictEqual(store.history(["tel:612345678"]).map((m) => m.texto), textos);
+  assert.deepStrictEqual(store.history(["email:ana@bar.es"]).map((m) => m.texto), textos);
+
+  // Una sola conversación en el fichero, con las claves como hash, y el índice se
+  // reconstruye al cargarlo
+  const saved = JSON.parse(fs.readFileSync(file, "utf8")).conversations;
+  assert.strictEqual(Object.keys(saved).length, 1);
+  assert.ok(!fs.readFileSync(file, "utf8").includes("ana@bar.es"));
+  const reloaded = createConversationStore({ file });
+  assert.deepStrictEqual(reloaded.history(["tel:612345678"]).map((m) => m.texto), textos);
+  assert.strictEqual(reloaded.append(["tel:612345678"], { texto: "Otra" }).id, merged.id);
+});
+
+test("conversaciones: las que superan ttlDays no salen en el historial", (t) => {
+  const file = tempFile(t);
+  createConversationStore({ file }).append(["email:ana@bar.es"], { texto: "Hola" });
+  createConversationStore({ file }).append(["email:luis@bar.es"], { texto: "Buenas" });
+
+  // La de Ana lleva 10 días sin actividad
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const [idAna] = Object.keys(data.conversations);
+  data.conversations[idAna].updated_at = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(file, JSON.stringify(data));
+
+  const store = createConversationStore({ file, ttlDays: 7 });
+  assert.deepStrictEqual(store.history(["email:ana@bar.es"]), []);
+  assert.deepStrictEqual(store.history(["email:luis@bar.es"]).map((m) => m.texto), ["Buenas"]);
+  assert.strictEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf8")).conversations).length, 1);
+
+  // Un mensaje nuevo de Ana empieza una conversación nueva
+  const nueva = store.append(["email:ana@bar.es"], { texto: "Vuelvo a escribir" });
+  assert.notStrictEqual(nueva.id, idAna);
+  assert.deepStrictEqual(store.history(["email:ana@bar.es"]).map((m) => m.texto), ["Vuelvo a escribir"]);
+});
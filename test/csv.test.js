@@ -0,0 +1,34 @@
+// test/csv.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCsv, toCsv } = require("../lib/csv");
+
+test("toCsv neutraliza fórmulas al principio de la celda", () => {
+  const rows = [
+    { texto: "=HYPERLINK(\"http://x\")" },
+    { texto: "+34 612 345 678" },
+    { texto: "-1+1" },
+    { texto: "@SUM(A1)" },
+    { texto: "\t=1" },
+    { texto: "\r=1" },
+    { texto: "Quiero una máquina" },
+  ];
+  const lines = toCsv(rows, ["texto"]).split("\r\n");
+
+  assert.deepStrictEqual(lines.slice(1, 5), [
+    `"'=HYPERLINK(""http://x"")"`,
+    "'+34 612 345 678",
+    "'-1+1",
+    "'@SUM(A1)",
+  ]);
+  assert.strictEqual(lines[5], "'\t=1");
+  assert.ok(toCsv([rows[5]], ["texto"]).includes(`"'\r=1"`));
+  assert.strictEqual(lines[7], "Quiero una máquina");
+});
+
+test("toCsv y parseCsv conservan comillas, comas y saltos de línea", () => {
+  const rows = [{ nombre: "Ana, \"la de Bilbao\"", texto: "línea 1\nlínea 2" }];
+  const { rows: parsed } = parseCsv(toCsv(rows, ["nombre", "texto"]));
+  assert.deepStrictEqual(parsed, rows);
+});
@@ -0,0 +1,119 @@
+// test/lead-dedup.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  normalizeEmail,
+  normalizePhone,
+  createLeadFinder,
+  mergeSummaries,
+} = require("../lib/lead-dedup");
+
+// Cliente Odoo falso: guarda las llamadas y devuelve lo indicado
+function fakeOdoo({ partners = [], leads = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async search(model, domain, options) {
+      calls.push({ method: "search", model, domain, options });
+      return partners;
+    },
+    async searchRead(model, domain, options) {
+      calls.push({ method: "searchRead", model, domain, options });
+      return leads;
+    },
+  };
+}
+
+test("normalizeEmail: minúsculas, sin espacios y solo emails válidos", () => {
+  assert.strictEqual(normalizeEmail("  Ana.Lopez@Bar.ES "), "ana.lopez@bar.es");
+  assert.strictEqual(normalizeEmail("no-es-un-email"), "");
+  assert.strictEqual(normalizeEmail(undefined), "");
+});
+
+test("normalizePhone: últimos 9 dígitos, con o sin prefijo y separadores", () => {
+  assert.strictEqual(normalizePhone("+34 612 34 56 78"), "612345678");
+  assert.strictEqual(normalizePhone("0034-612.345.678"), "612345678");
+  assert.strictEqual(normalizePhone("612345678"), "612345678");
+  assert.strictEqual(normalizePhone("123"), "");
+});
+
+test("findPartnerIds: OR de email normalizado y teléfono", async () => {
+  const odoo = fakeOdoo({ partners: [7] });
+  const { findPartnerIds } = createLeadFinder({ odoo, leadFields: ["id"] });
+
+  const ids = await findPartnerIds(normalizeEmail("ANA@bar.es"), normalizePhone("+34 612 345 678"));
+  assert.deepStrictEqual(ids, [7]);
+  assert.deepStrictEqual(odoo.calls[0].domain, [
+    "|",
+    ["email_normalized", "=", "ana@bar.es"],
+    ["phone_sanitized", "ilike", "612345678"],
+  ]);
+});
+
+test("findPartnerIds: sin email ni teléfono no consulta Odoo", async () => {
+  const odoo = fakeOdoo();
+  const { findPartnerIds, findOpenLead } = createLeadFinder({ odoo, leadFields: ["id"] });
+  assert.deepStrictEqual(await findPartnerIds("", ""), []);
+  assert.strictEqual(await findOpenLead("", "", []), null);
+  assert.strictEqual(odoo.calls.length, 0);
+});
+
+test("findOpenLead: email, teléfono y contactos, solo leads no ganados", async () => {
+  const odoo = fakeOdoo({ leads: [{ id: 3 }] });
+  const { findOpenLead } = createLeadFinder({ odoo, leadFields: ["id", "x_resumen_ia"] });
+
+  const lead = await findOpenLead("ana@bar.es", "612345678", [7, 8]);
+  assert.deepStrictEqual(lead, { id: 3 });
+  const call = odoo.calls[0];
+  assert.strictEqual(call.model, "crm.lead");
+  assert.deepStrictEqual(call.domain, [
+    "|",
+    "|",
+    ["email_normalized", "=", "ana@bar.es"],
+    ["phone_sanitized", "ilike", "612345678"],
+    ["partner_id", "in", [7, 8]],
+    ["stage_id.is_won", "=", false],
+  ]);
+  assert.deepStrictEqual(call.options.fields, ["id", "x_resumen_ia"]);
+  assert.strictEqual(call.options.limit, 1);
+});
+
+test("findOpenLead: solo teléfono, sin lead abierto → null", async () => {
+  const odoo = fakeOdoo({ leads: [] });
+  const { findOpenLead } = createLeadFinder({ odoo, leadFields: ["id"] });
+  assert.strictEqual(await findOpenLead("", "612345678", []), null);
+  assert.deepStrictEqual(odoo.calls[0].domain, [
+    ["phone_sanitized", "ilike", "612345678"],
+    ["stage_id.is_won", "=", false],
+  ]);
+});
+
+test("mergeSummaries: añade con fecha y canal, conserva el anterior sin cabecera", () => {
+  const merged = mergeSummaries("Resumen antiguo.", "Pide precio.", {
+    fecha: "2026-10-19",
+    canal: "email",
+  });
+  assert.strictEqual(merged, "Resumen antiguo.\n\n[2026-10-19 · email]\nPide precio.");
+});
+
+test("mergeSummaries: un reintento con el mismo resumen no lo duplica", () => {
+  const once = mergeSummaries("", "Pide precio.\nQuiere visita.", { fecha: "2026-10-19", canal: "email" });
+  const twice = mergeSummaries(once, "Pide precio.\nQuiere visita.", { fecha: "2026-10-20", canal: "email" });
+  assert.strictEqual(twice, once);
+});
+
+test("mergeSummaries: deja solo los últimos max", () => {
+  let text = "";
+  for (let i = 1; i <= 4; i++) {
+    text = mergeSummaries(text, `Mensaje ${i}.`, { fecha: `2026-10-0${i}`, canal: "whatsapp", max: 3 });
+  }
+  assert.strictEqual(
+    text,
+    [
+      "[2026-10-02 · whatsapp]\nMensaje 2.",
+      "[2026-10-03 · whatsapp]\nMensaje 3.",
+      "[2026-10-04 · whatsapp]\nMensaje 4.",
+    ].join("\n\n")
+  );
+});
@@ -0,0 +1,51 @@
+// test/lead-routing.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLeadRouter } = require("../lib/lead-routing");
+
+const RULES = {
+  reglas: [
+    { nombre: "soporte", intencion: ["soporte"], equipo: "Soporte" },
+    { nombre: "portugal", pais: ["Portugal", "Brasil"], equipo: "Ventas Portugal" },
+    { nombre: "francia", idioma: ["fr"], intencion: ["maquina", "ambos"], equipo: "Ventas Francia" },
+  ],
+  por_defecto: { nombre: "ventas", equipo: "Ventas" },
+};
+
+function tempStateFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "routing-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "routing-state.json");
+}
+
+test("match: primera regla que casa, sin tildes ni mayúsculas, o la de por defecto", (t) => {
+  const router = createLeadRouter({ rules: RULES, stateFile: tempStateFile(t) });
+  assert.strictEqual(router.match({ intencion: "soporte", pais: "Portugal" }).nombre, "soporte");
+  assert.strictEqual(router.match({ intencion: "maquina", pais: "BRASIL" }).nombre, "portugal");
+  assert.strictEqual(router.match({ intencion: "maquina", idioma: "fr" }).nombre, "francia");
+  // Francia exige también la intención
+  assert.strictEqual(router.match({ intencion: "pizzas", idioma: "fr" }).nombre, "ventas");
+  assert.strictEqual(
+    createLeadRouter({ rules: { reglas: [] }, stateFile: tempStateFile(t) }).match({}),
+    null
+  );
+});
+
+test("next: round-robin por regla que sobrevive a un reinicio", (t) => {
+  const stateFile = tempStateFile(t);
+  const router = createLeadRouter({ rules: RULES, stateFile });
+  assert.deepStrictEqual(
+    [router.next("ventas", [1, 2, 3]), router.next("ventas", [1, 2, 3]), router.next("soporte", [9])],
+    [1, 2, 9]
+  );
+
+  const restarted = createLeadRouter({ rules: RULES, stateFile });
+  assert.deepStrictEqual([restarted.next("ventas", [1, 2, 3]), restarted.next("ventas", [1, 2, 3])], [3, 1]);
+  // Si cambia el número de candidatos sigue el turno sin salirse de la lista
+  assert.strictEqual(restarted.next("ventas", [1, 2]), 2);
+  assert.strictEqual(restarted.next("ventas", []), null);
+});
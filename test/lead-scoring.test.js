@@ -0,0 +1,91 @@
+// test/lead-scoring.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { scoreLead, validateScoringConfig } = require("../lib/lead-scoring");
+const defaults = require("../config/lead-scoring.json");
+
+const PRECIOS = { maquina: 1000, ambos: 1500, operador: 800, pizzas: 100, _fallback: 0 };
+
+function rules(overrides = {}) {
+  return validateScoringConfig({
+    pesos: { intencion: 1, urgencia: 1 },
+    intencion: { maquina: 1, _fallback: 0.5 },
+    urgencia: { alta: 1, _fallback: 0 },
+    cantidad: [],
+    plazo: [],
+    pais: {},
+    ingreso_esperado: { por_unidad: PRECIOS, max_unidades: 5 },
+    ...overrides,
+  });
+}
+
+test("scoreLead: normaliza a 0-100 aunque los pesos no sumen 100", () => {
+  const r = rules();
+  assert.strictEqual(scoreLead({ intencion: "maquina", urgencia: "alta" }, r).score, 100);
+  // intencion 1 de 1, urgencia 0 de 1 → 50
+  assert.strictEqual(scoreLead({ intencion: "maquina", urgencia: "baja" }, r).score, 50);
+  assert.deepStrictEqual(scoreLead({ intencion: "maquina", urgencia: "baja" }, r).desglose, {
+    intencion: 1,
+    urgencia: 0,
+    cantidad: 0,
+    plazo: 0,
+    pais: 0,
+  });
+});
+
+test("scoreLead: _fallback para valores sin entrada, sin tildes ni mayúsculas", () => {
+  const r = rules({ pais: { España: 1, _fallback: 0.25 }, pesos: { pais: 4 } });
+  assert.strictEqual(scoreLead({ pais: "ESPANA" }, r).score, 100);
+  assert.strictEqual(scoreLead({ pais: "Marte" }, r).score, 25);
+  assert.strictEqual(scoreLead({ intencion: "otros" }, rules({ pesos: { intencion: 1 } })).score, 50);
+});
+
+test("scoreLead: ingreso esperado por unidades, con tope max_unidades", () => {
+  const r = rules();
+  const ingreso = (cantidad, intencion = "maquina") =>
+    scoreLead({ intencion, datos_detectados: { cantidad } }, r).expected_revenue;
+  assert.strictEqual(ingreso("3 máquinas"), 3000);
+  assert.strictEqual(ingreso("varias"), 2000);
+  assert.strictEqual(ingreso("no especifica"), 1000);
+  assert.strictEqual(ingreso("50 unidades"), 5000); // tope de 5
+  assert.strictEqual(ingreso("2", "info"), 0); // _fallback 0
+});
+
+test("reglas de cantidad / plazo: sin tildes en el texto y escapes intactos", () => {
+  const r = rules({
+    pesos: { plazo: 1, cantidad: 1 },
+    plazo: [
+      { patron: "año", valor: 0.3 },
+      { patron: "", valor: 0.5 },
+    ],
+    // \D (no dígito) no debe convertirse en \d
+    cantidad: [
+      { patron: "^\\D+$", valor: 1 },
+      { patron: "", valor: 0 },
+    ],
+  });
+  const desglose = (datos) => scoreLead({ datos_detectados: datos }, r).desglose;
+  assert.strictEqual(desglose({ plazo: "el próximo AÑO" }).plazo, 0.3);
+  assert.strictEqual(desglose({ plazo: "cuando sea" }).plazo, 0.5);
+  assert.strictEqual(desglose({ cantidad: "varias" }).cantidad, 1);
+  assert.strictEqual(desglose({ cantidad: "3" }).cantidad, 0);
+});
+
+test("validateScoringConfig: patrones inválidos y precios que faltan", () => {
+  assert.throws(() => rules({ plazo: [{ patron: "(sin cerrar", valor: 1 }] }), /patrón inválido en plazo\[0\]/);
+  assert.throws(
+    () => rules({ ingreso_esperado: { por_unidad: { ...PRECIOS, pizzas: 0 } } }),
+    /falta el precio por unidad de pizzas/
+  );
+  // Desactivado a propósito: sin ingreso esperado
+  const off = rules({ ingreso_esperado: { activo: false } });
+  assert.strictEqual(scoreLead({ intencion: "maquina" }, off).expected_revenue, 0);
+});
+
+test("config/lead-scoring.json por defecto es válida y da ingreso esperado", () => {
+  const r = validateScoringConfig(defaults);
+  const result = scoreLead({ intencion: "maquina", urgencia: "alta", datos_detectados: { cantidad: "2" } }, r);
+  assert.ok(result.expected_revenue > 0);
+  assert.ok(result.score > 0 && result.score <= 100);
+});
@@ -0,0 +1,122 @@
+// test/pii.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { maskPII, maskDeep, createRedactor, redactionTypesFor, validateRedactionConfig } = require("../lib/pii");
+const { loadJsonConfig } = require("../lib/config");
+
+const CONFIG = validateRedactionConfig(loadJsonConfig(path.join(__dirname, "../config/pii-redaction.json")));
+
+test("maskPII: enmascara teléfonos con forma de teléfono", () => {
+  for (const phone of [
+    "+34 612 345 678",
+    "0034612345678",
+    "612 34 56 78",
+    "912-345-678",
+    "612.345.678",
+    "06 12 34 56 78",
+    "+33 (0)6 12 34 56 78",
+    "+351 912 345 678",
+  ]) {
+    assert.strictEqual(maskPII(`tel: ${phone}.`), "tel: ***678.", phone);
+  }
+});
+
+test("maskPII: deja fechas, importes e ids", () => {
+  for (const text of [
+    "2024-05-12 10:30",
+    "2026-10-19T16:48:17.935Z",
+    "importe 1.234.567,89 €",
+    "7.500.000",
+    "pedido 123456789012",
+    "ref 20261019123456",
+    "lead 4521",
+  ]) {
+    assert.strictEqual(maskPII(text), text);
+  }
+});
+
+test("maskDeep: no toca números ni campos numéricos", () => {
+  const vals = {
+    partner_id: 612345678,
+    tag_ids: [[6, 0, [3, 4]]],
+    expected_revenue: "21000",
+    create_date: "2026-10-19 16:48:17",
+    phone: "612345678",
+    description: "Llamar al 612 345 678 o a ana.perez@bar.es",
+  };
+  assert.deepStrictEqual(maskDeep(vals), {
+    ...vals,
+    phone: "***678",
+    description: "Llamar al ***678 o a an***@bar.es",
+  });
+});
+
+test("redactor: redact → restore devuelve los valores originales", () => {
+  const redactor = createRedactor();
+  const nombre = redactor.redactValue("nombre", "Ana Pérez");
+  const input = {
+    texto:
+      "Soy ana pérez, mi email es ana.perez@bar.es y mi móvil +34 612 345 678. " +
+      "Escribid a ana.perez@bar.es, IBAN ES91 2100 0418 4502 0005 1332, DNI 12345678Z. " +
+      "Estamos en C/ Mayor 5, Madrid.",
+    historial: [{ texto: "Llamadme al 612345678" }],
+  };
+  const redacted = redactor.redact(input);
+
+  assert.strictEqual(nombre, "[NOMBRE_1]");
+  assert.strictEqual(
+    redacted.texto,
+    "Soy [NOMBRE_1], mi email es [EMAIL_1] y mi móvil [TELEFONO_1]. " +
+      "Escribid a [EMAIL_1], IBAN [IBAN_1], DNI [DOCUMENTO_1]. Estamos en [DIRECCION_1], Madrid."
+  );
+  assert.strictEqual(redacted.historial[0].texto, "Llamadme al [TELEFONO_2]");
+  assert.deepStrictEqual(redactor.redactedTypes(), ["nombre", "email", "iban", "documento", "direccion", "telefono"]);
+
+  // La IA devuelve los marcadores y se recuperan los valores
+  assert.deepStrictEqual(
+    redactor.restore({ resumen: "[NOMBRE_1] pide precio", datos: { ubicacion: "[DIRECCION_1]" }, n: 3 }),
+    { resumen: "Ana Pérez pide precio", datos: { ubicacion: "C/ Mayor 5" }, n: 3 }
+  );
+  // El nombre vuelve con la forma del campo nombre
+  assert.strictEqual(redactor.restore(redacted.texto), input.texto.replace("ana pérez", "Ana Pérez"));
+});
+
+test("redactor: tipos por canal según config/pii-redaction.json", () => {
+  assert.deepStrictEqual(redactionTypesFor(CONFIG, "WhatsApp"), ["nombre", "email", "iban", "documento", "direccion"]);
+  assert.ok(redactionTypesFor(CONFIG, "llamada").includes("telefono"));
+  assert.deepStrictEqual(redactionTypesFor(CONFIG, "formulario"), CONFIG.tipos_por_defecto);
+  assert.deepStrictEqual(redactionTypesFor({ ...CONFIG, activo: false }, "llamada"), []);
+
+  // En WhatsApp el teléfono es el propio contacto: no se sustituye
+  const whatsapp = createRedactor(redactionTypesFor(CONFIG, "whatsapp"));
+  assert.strictEqual(whatsapp.redact("mi número es 612 345 678"), "mi número es 612 345 678");
+  assert.strictEqual(whatsapp.redactValue("nombre", "Luis"), "[NOMBRE_1]");
+
+  const sinNombre = createRedactor(["email"]);
+  assert.strictEqual(sinNombre.redactValue("nombre", "Luis"), "Luis");
+  assert.strictEqual(sinNombre.redact("Soy Luis"), "Soy Luis");
+
+  assert.throws(() => validateRedactionConfig({ canales: { web: ["email", "pasaporte"] } }), /pasaporte/);
+});
+
+test("redactor: DNI, NIE, NIF, IBAN y direcciones", () => {
+  const cases = [
+    ["DNI 12345678Z", "DNI [DOCUMENTO_1]"],
+    ["NIE X1234567L", "NIE [DOCUMENTO_1]"],
+    ["nie y1234567x", "nie [DOCUMENTO_1]"],
+    ["CIF B12345678", "CIF [DOCUMENTO_1]"],
+    ["IBAN ES9121000418450200051332", "IBAN [IBAN_1]"],
+    ["IBAN PT50 0002 0123 1234 5678 9015 4", "IBAN [IBAN_1]"],
+    ["en Avda. de la Constitución nº 12, 3º B", "en [DIRECCION_1]"],
+    ["Rua Augusta 120", "[DIRECCION_1]"],
+    ["au 12 rue de la Paix", "au [DIRECCION_1]"],
+    ["at 221 Baker Street", "at [DIRECCION_1]"],
+    // Sin número no es una dirección completa
+    ["vivo en la calle de al lado", "vivo en la calle de al lado"],
+  ];
+  for (const [input, expected] of cases) {
+    assert.strictEqual(createRedactor().redact(input), expected, input);
+  }
+});
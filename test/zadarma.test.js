@@ -0,0 +1,74 @@
+// test/zadarma.test.js — npm test (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { fetchRecording } = require("../lib/zadarma");
+
+// API de Zadarma falsa: record/request devuelve el enlace a /audio/<caso>
+async function fakeZadarma(t) {
+  const state = { aborted: false, sent: 0 };
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    if (pathname === "/v1/pbx/record/request/") {
+      const link = `http://localhost:${server.address().port}/audio/${searchParams.get("call_id")}.mp3`;
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ status: "success", link }));
+    } else if (pathname === "/audio/ok.mp3") {
+      res.end(Buffer.alloc(1000, 1));
+    } else if (pathname === "/audio/declarado.mp3") {
+      res.setHeader("content-length", "5000");
+      res.end(Buffer.alloc(5000, 1));
+    } else {
+      // Sin content-length y sin fin: solo se para si el cliente corta
+      const timer = setInterval(() => {
+        state.sent += 1000;
+        res.write(Buffer.alloc(1000, 1));
+      }, 5);
+      res.on("close", () => {
+        clearInterval(timer);
+        state.aborted = !res.writableFinished;
+      });
+    }
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const options = {
+    apiKey: "key",
+    apiSecret: "secret",
+    baseUrl: `http://localhost:${server.address().port}`,
+    maxBytes: 2000,
+  };
+  return { state, options };
+}
+
+test("fetchRecording: descarga dentro del límite", async (t) => {
+  const { options } = await fakeZadarma(t);
+  const rec = await fetchRecording({ callIdWithRec: "ok" }, options);
+  assert.strictEqual(rec.audio.length, 1000);
+  assert.strictEqual(rec.filename, "ok.mp3");
+});
+
+test("fetchRecording: content-length por encima del límite → error permanente", async (t) => {
+  const { options } = await fakeZadarma(t);
+  await assert.rejects(fetchRecording({ callIdWithRec: "declarado" }, options), (err) => {
+    assert.match(err.message, /5000 bytes, máximo 2000/);
+    assert.strictEqual(err.permanent, true);
+    return true;
+  });
+});
+
+test("fetchRecording: sin content-length corta la descarga al pasar el límite", async (t) => {
+  const { state, options } = await fakeZadarma(t);
+  await assert.rejects(fetchRecording({ callIdWithRec: "sin-fin" }, options), (err) => {
+    assert.match(err.message, /más de 2000 bytes/);
+    assert.strictEqual(err.permanent, true);
+    return true;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.strictEqual(state.aborted, true);
+  assert.ok(state.sent < 20000, `enviados ${state.sent} bytes`);
+});